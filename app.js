@@ -1,49 +1,561 @@
 /**
  * Grid Journal — app.js
  *
- * Data model in localStorage:
+ * Data model (stored in IndexedDB, see Persistence):
  * {
- *   pinnedTopics: [ { id, name } ],   // global column definitions (ordered)
+ *   version: 7,                        // schema version, see MIGRATIONS
+ *   pinnedTopics: [ { id, name, type?, unit?, max?, options?, template?, start?, end? } ],  // global column definitions (ordered)
+ *                                      // start / end: first and last active month, "YYYY-MM" (see Column actions)
  *   entries: {
  *     "YYYY-MM-DD": {
- *       pinned: { topicId: "text", ... },
- *       free:   [ { id, name, text }, ... ]
+ *       pinned: { topicId: value, ... },  // text, or typed value (see Typed columns)
+ *       free:   [ { id, name, text }, ... ],
+ *       revisions: { cellId: [ { at, text }, ... ] }  // text cell history, oldest first
  *     }
- *   }
+ *   },
+ *   trash: {                           // deleted items, purged after settings.trashRetentionDays
+ *     columns:   [ { id, topic, index, cells: { dateKey: text }, deletedAt } ],
+ *     freeCells: [ { id, dateKey, cell, index, deletedAt } ]
+ *   },
+ *   settings: { trashRetentionDays, revisionLimit, revisionRetentionDays },
+ *   savedViews: [ { id, name, query, includeArchived } ],
+ *   recurring: [ { id, name, kind, weekdays?, day?, every?, from, template?, skip? } ]  // see Recurring free cells
  * }
  */
 
 // ─── State ───────────────────────────────────────────────────────────────────
 
 let currentYear, currentMonth; // 0-based month
+let currentView = 'month';     // 'month' | 'week' | 'year' | 'timeline'
+let weekStart = null;          // date key of the Monday shown in week view
 let data = { pinnedTopics: [], entries: {} };
 
 // UI state
 let expandedColumns = new Set(); // topic ids whose columns are "expanded"
-let activeCell = null;           // { type:'pinned'|'free', dateKey, topicId|freeCellId, el }
+let activeCell = null;           // { type:'pinned'|'free', dateKey, topicId|freeCellId, name, base, el }
 let archivePanelOpen = false;
 let searchIncludesArchived = true;
 
 // ─── Persistence ─────────────────────────────────────────────────────────────
+//
+// Primary store is IndexedDB: topics and other journal-wide fields live in one
+// "meta" record and every dated entry in its own record, so saving a cell
+// writes a single small record. Without IndexedDB the whole journal falls
+// back to one localStorage key (the original format, migrated on first run).
+
+const STORAGE_KEY = 'gridjournal';
+// Keys the raw string is quarantined under when it cannot be loaded.
+const BACKUP_KEY_PREFIX = 'gridjournal-backup-';
+const DB_NAME = 'gridjournal';
+const DB_VERSION = 1;
+
+let savingSuspended = false; // true while an unreadable journal could not be backed up
+let db = null;               // IDBDatabase; null when using localStorage
+let persisted = { meta: null, entries: new Map() }; // JSON last written, per record
+let writeQueue = Promise.resolve();
+
+async function loadData() {
+  try {
+    db = await openDb();
+  } catch (_) {
+    db = null;
+  }
+  if (!db) {
+    loadFromLocalStorage();
+    return;
+  }
+
+  let read;
+  try {
+    read = await idbReadAll();
+  } catch (err) {
+    // Show the localStorage copy (if any) read-only: saving it would write
+    // over whatever IndexedDB still holds
+    db = null;
+    savingSuspended = true;
+    loadFromLocalStorage();
+    showBanner({
+      id: 'storage',
+      tone: 'error',
+      message: `Your journal could not be read from browser storage (${(err && err.message) || err}). ` +
+        'Showing the last local copy, if any; saving is paused until the page is reloaded.',
+      actions: [{ label: 'Reload', onClick: () => location.reload(), primary: true }]
+    });
+    return;
+  }
+  const { meta, entries } = read;
+  if (!meta) {
+    // First run on IndexedDB: move the localStorage journal over, and only
+    // drop the old key once everything is committed
+    const hadLocal = localStorage.getItem(STORAGE_KEY) !== null;
+    loadFromLocalStorage();
+    if (await saveData() && hadLocal && !savingSuspended) localStorage.removeItem(STORAGE_KEY);
+    return;
+  }
+
+  data = { ...meta, entries };
+  markPersisted();
+  const from = meta.version || 0;
+  if (from > SCHEMA_VERSION) {
+    savingSuspended = true;
+    showBanner({
+      id: 'recovery',
+      tone: 'error',
+      message: `Your journal was saved by a newer version of Grid Journal (schema v${from}). ` +
+        'Saving is paused so it is not downgraded.'
+    });
+    return;
+  }
+  data = migrateData(data);
+  if (from !== data.version) saveData();
+}
 
-function loadData() {
+function loadFromLocalStorage() {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  data = emptyData();
+  if (!raw) return;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not an object');
+  } catch (e) {
+    quarantine(raw, `Your saved journal could not be read (${e.message}).`);
+    return;
+  }
+  const from = parsed.version || 0;
+  if (from > SCHEMA_VERSION) {
+    // Written by a newer version of the app: keep a copy and don't save over it
+    savingSuspended = true;
+    quarantine(raw, `Your journal was saved by a newer version of Grid Journal (schema v${from}). ` +
+      'Saving is paused so it is not downgraded.', parsed);
+    return;
+  }
+  // On first run with IndexedDB the snapshot stays empty so the caller's
+  // saveData() writes everything
+  data = parsed;
+  if (!db) markPersisted();
   try {
-    const raw = localStorage.getItem('gridjournal');
-    if (raw) data = JSON.parse(raw);
-  } catch (e) { data = { pinnedTopics: [], entries: {} }; }
-  if (!data.pinnedTopics) data.pinnedTopics = [];
-  if (!data.entries) data.entries = {};
+    data = migrateData(parsed);
+  } catch (e) {
+    data = emptyData();
+    quarantine(raw, `Your saved journal could not be upgraded (${e.message}).`);
+    return;
+  }
+  if (from !== data.version && !db) saveData();
+}
+
+// Keep an unloadable raw string under a backup key so the next saveData()
+// cannot destroy it, then tell the user. `fallback` is loaded when usable.
+// A backup already holding the same string is reused, so reloads don't pile
+// up copies.
+function quarantine(raw, reason, fallback) {
+  let key = null;
+  for (let i = 0; i < localStorage.length && !key; i++) {
+    const k = localStorage.key(i);
+    if (k.startsWith(BACKUP_KEY_PREFIX) && localStorage.getItem(k) === raw) key = k;
+  }
+  let backedUp = true;
+  if (!key) {
+    key = BACKUP_KEY_PREFIX + new Date().toISOString().replace(/[:.]/g, '-');
+    try {
+      localStorage.setItem(key, raw);
+    } catch (_) {
+      backedUp = false;
+      savingSuspended = true;
+    }
+  }
+  if (fallback) data = fallback;
+  showRecoveryBanner(reason, key, raw, backedUp);
+}
+
+// Persist `data`. With `dateKeys` only those entries (plus the meta record)
+// are compared against what was last written; without, every entry is.
+// saveData([]) therefore writes topic/meta changes only. Committed changes
+// are broadcast to other open tabs. Resolves to true once written.
+function saveData(dateKeys) {
+  if (savingSuspended) return Promise.resolve(false);
+  const changes = diffData(dateKeys);
+  if (!changes) return writeQueue.then(() => true);
+
+  const write = writeQueue
+    .then(() => db ? idbWrite(changes) : writeLocalStorage())
+    .then(() => {
+      broadcastChanges(changes);
+      scheduleSync();
+      return true;
+    }, err => {
+      // Forget what we thought was written so the next save retries it
+      if (changes.meta) persisted.meta = null;
+      changes.puts.forEach(([dk]) => persisted.entries.delete(dk));
+      changes.deletes.forEach(dk => persisted.entries.set(dk, ''));
+      reportStorageError(err);
+      return false;
+    });
+  writeQueue = write;
+  return write;
 }
 
-function saveData() {
-  localStorage.setItem('gridjournal', JSON.stringify(data));
+// Compare `data` with the `persisted` snapshot and advance the snapshot.
+// Returns { meta, puts: [[dk, entry]], deletes: [dk] } or null when unchanged;
+// records are detached copies, safe to write after further edits.
+function diffData(dateKeys) {
+  const { entries, ...meta } = data;
+  const metaJson = JSON.stringify(meta);
+  const metaRec = metaJson !== persisted.meta ? JSON.parse(metaJson) : null;
+  persisted.meta = metaJson;
+
+  const keys = dateKeys || new Set([...Object.keys(entries), ...persisted.entries.keys()]);
+  const puts = [];
+  const deletes = [];
+  for (const dk of keys) {
+    const entry = entries[dk];
+    const json = entry && !isEmptyEntry(entry) ? JSON.stringify(entry) : null;
+    if (json === (persisted.entries.get(dk) ?? null)) continue;
+    if (json) {
+      puts.push([dk, JSON.parse(json)]);
+      persisted.entries.set(dk, json);
+    } else {
+      deletes.push(dk);
+      persisted.entries.delete(dk);
+    }
+  }
+  if (!metaRec && !puts.length && !deletes.length) return null;
+  return { meta: metaRec, puts, deletes };
+}
+
+// Seed the `persisted` snapshot from what is in `data` right now
+function markPersisted() {
+  const { entries, ...meta } = data;
+  persisted.meta = JSON.stringify(meta);
+  persisted.entries.clear();
+  for (const dk in entries) {
+    if (!isEmptyEntry(entries[dk])) persisted.entries.set(dk, JSON.stringify(entries[dk]));
+  }
+}
+
+function writeLocalStorage() {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+}
+
+function isEmptyEntry(entry) {
+  return Object.keys(entry).every(k => k === 'pinned' || k === 'free') &&
+    Object.values(entry.pinned || {}).every(isEmptyValue) &&
+    !(entry.free || []).length;
+}
+
+function reportStorageError(err) {
+  const quota = err && (err.name === 'QuotaExceededError' || err.code === 22);
+  showBanner({
+    id: 'storage',
+    tone: 'error',
+    message: quota
+      ? 'Storage is full: your latest changes could not be saved. Export the journal and free up browser storage.'
+      : `Your latest changes could not be saved (${(err && err.message) || err}).`,
+    actions: [{ label: 'Export', onClick: exportJournal, primary: true }]
+  });
+}
+
+// ─── IndexedDB ───────────────────────────────────────────────────────────────
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) return reject(new Error('IndexedDB unavailable'));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const idb = req.result;
+      if (!idb.objectStoreNames.contains('meta')) idb.createObjectStore('meta');
+      if (!idb.objectStoreNames.contains('entries')) idb.createObjectStore('entries');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+  });
+}
+
+// Read the meta record and every entry record: { meta, entries }
+function idbReadAll() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['meta', 'entries'], 'readonly');
+    const metaReq = tx.objectStore('meta').get('journal');
+    const entries = {};
+    tx.objectStore('entries').openCursor().onsuccess = e => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      entries[cursor.key] = cursor.value;
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve({ meta: metaReq.result, entries });
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+function idbWrite({ meta, puts, deletes }) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['meta', 'entries'], 'readwrite');
+    if (meta) tx.objectStore('meta').put(meta, 'journal');
+    const store = tx.objectStore('entries');
+    puts.forEach(([dk, entry]) => store.put(entry, dk));
+    deletes.forEach(dk => store.delete(dk));
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
 }
 
+// Stand-in for a day with nothing written. Render and read-only paths use
+// `data.entries[dk] || EMPTY_ENTRY` so that merely showing a day (e.g.
+// scrolling the timeline) doesn't add an entry to the journal.
+const EMPTY_ENTRY = Object.freeze({ pinned: Object.freeze({}), free: Object.freeze([]) });
+
 function getEntry(dateKey) {
   if (!data.entries[dateKey]) data.entries[dateKey] = { pinned: {}, free: [] };
   return data.entries[dateKey];
 }
 
+// ─── Schema migrations ───────────────────────────────────────────────────────
+//
+// Each migration upgrades the stored model from `version - 1` to `version`.
+// They must be idempotent on partially valid data, since anything can end up
+// in localStorage or an imported file.
+
+const DEFAULT_SETTINGS = {
+  trashRetentionDays: 30,
+  revisionLimit: 50,          // versions kept per cell
+  revisionRetentionDays: 365
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Normalise missing containers and malformed records
+    up(d) {
+      if (!Array.isArray(d.pinnedTopics)) d.pinnedTopics = [];
+      d.pinnedTopics = d.pinnedTopics
+        .filter(t => t && typeof t === 'object')
+        .map(t => ({ ...t, id: t.id ? String(t.id) : uid(), name: String(t.name || 'Untitled') }));
+      if (!d.entries || typeof d.entries !== 'object' || Array.isArray(d.entries)) d.entries = {};
+      for (const dk in d.entries) {
+        const entry = d.entries[dk];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dk) || !entry || typeof entry !== 'object') {
+          delete d.entries[dk];
+          continue;
+        }
+        if (!entry.pinned || typeof entry.pinned !== 'object') entry.pinned = {};
+        if (!Array.isArray(entry.free)) entry.free = [];
+        entry.free = entry.free
+          .filter(f => f && typeof f === 'object')
+          .map(f => ({ ...f, id: f.id ? String(f.id) : uid(), name: String(f.name || 'Untitled'), text: f.text || '' }));
+      }
+    }
+  },
+  {
+    version: 2,
+    // Deduplicate topic ids and free-cell ids (per day). Pinned text stays
+    // with the first topic using an id; later duplicates get a fresh id.
+    up(d) {
+      const seen = new Set();
+      d.pinnedTopics.forEach(t => {
+        if (seen.has(t.id)) t.id = uid();
+        seen.add(t.id);
+      });
+      for (const dk in d.entries) {
+        const ids = new Set();
+        d.entries[dk].free.forEach(f => {
+          if (ids.has(f.id)) f.id = uid();
+          ids.add(f.id);
+        });
+      }
+    }
+  },
+  {
+    version: 3,
+    // Trash for deleted columns / free cells, and journal settings
+    up(d) {
+      if (!d.trash || typeof d.trash !== 'object') d.trash = {};
+      if (!Array.isArray(d.trash.columns)) d.trash.columns = [];
+      if (!Array.isArray(d.trash.freeCells)) d.trash.freeCells = [];
+      d.settings = { ...DEFAULT_SETTINGS, ...(d.settings || {}) };
+    }
+  },
+  {
+    version: 4,
+    // Saved searches
+    up(d) {
+      if (!Array.isArray(d.savedViews)) d.savedViews = [];
+    }
+  },
+  {
+    version: 5,
+    // Per-cell revision history and its pruning settings
+    up(d) {
+      d.settings = { ...DEFAULT_SETTINGS, ...d.settings };
+      for (const dk in d.entries) {
+        const entry = d.entries[dk];
+        if (!entry.revisions) continue;
+        if (typeof entry.revisions !== 'object' || Array.isArray(entry.revisions)) {
+          delete entry.revisions;
+          continue;
+        }
+        for (const id in entry.revisions) {
+          const list = entry.revisions[id];
+          if (Array.isArray(list)) {
+            entry.revisions[id] = list.filter(r => r && typeof r.text === 'string')
+              .map(r => ({ at: typeof r.at === 'number' ? r.at : null, text: r.text }));
+          }
+          if (!Array.isArray(list) || !entry.revisions[id].length) delete entry.revisions[id];
+        }
+        if (!Object.keys(entry.revisions).length) delete entry.revisions;
+      }
+    }
+  },
+  {
+    version: 6,
+    // Recurring free cells
+    up(d) {
+      if (!Array.isArray(d.recurring)) d.recurring = [];
+      d.recurring = d.recurring.filter(r => r && typeof r === 'object' && RECURRENCE_KINDS[r.kind]);
+    }
+  },
+  {
+    version: 7,
+    // Active months of pinned topics ('YYYY-MM', optional)
+    up(d) {
+      d.pinnedTopics.forEach(t => {
+        ['start', 'end'].forEach(k => {
+          if (k in t && !/^\d{4}-(0[1-9]|1[0-2])$/.test(t[k])) delete t[k];
+        });
+      });
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function emptyData() {
+  return migrateData({ pinnedTopics: [], entries: {} });
+}
+
+// Run every migration newer than `d.version` and return the upgraded model.
+function migrateData(d) {
+  const from = d.version || 0;
+  if (from > SCHEMA_VERSION) throw new Error(`schema v${from} is newer than this app (v${SCHEMA_VERSION})`);
+  MIGRATIONS.filter(m => m.version > from).forEach(m => {
+    m.up(d);
+    d.version = m.version;
+  });
+  return d;
+}
+
+// ─── Undo / redo ─────────────────────────────────────────────────────────────
+//
+// Every change to `data` goes through mutate(label, dateKeys, fn). It records
+// the JSON of each meta field (pinnedTopics, trash, …) and each entry `fn`
+// changed, before and after, as one command; undo and redo swap only those
+// back in, so fields changed since by another tab or by sync are left alone.
+// dateKeys limits which entries are compared ([] = meta only, null = all).
+// Consecutive commands with the same `coalesce` key merge into one, so the
+// autosaves of one editing session undo together.
+
+const UNDO_LIMIT = 100;
+
+let undoStack = [];
+let redoStack = [];
+
+function mutate(label, dateKeys, fn, { toast = false, coalesce = null } = {}) {
+  const metaJson = () => {
+    const { entries, ...meta } = data;
+    return new Map(Object.keys(meta).map(key => [key, JSON.stringify(meta[key])]));
+  };
+  const entryJson = dk => data.entries[dk] ? JSON.stringify(data.entries[dk]) : null;
+  const keys = () => dateKeys || Object.keys(data.entries);
+
+  const metaBefore = metaJson();
+  const entriesBefore = new Map(keys().map(dk => [dk, entryJson(dk)]));
+  const result = fn();
+  const metaAfter = metaJson();
+  const meta = {};    // field -> [before, after]
+  new Set([...metaBefore.keys(), ...metaAfter.keys()]).forEach(key => {
+    const before = metaBefore.has(key) ? metaBefore.get(key) : null;
+    const after = metaAfter.has(key) ? metaAfter.get(key) : null;
+    if (before !== after) meta[key] = [before, after];
+  });
+  const entries = {}; // dk -> [before, after]
+  new Set([...entriesBefore.keys(), ...keys()]).forEach(dk => {
+    const before = entriesBefore.has(dk) ? entriesBefore.get(dk) : null;
+    const after = entryJson(dk);
+    if (before !== after) entries[dk] = [before, after];
+  });
+  if (!Object.keys(meta).length && !Object.keys(entries).length) return result;
+  backlinkCache = null;
+
+  const top = undoStack[undoStack.length - 1];
+  let cmd;
+  if (coalesce && top && top.coalesce === coalesce) {
+    cmd = top;
+    for (const key in meta) {
+      if (cmd.meta[key]) cmd.meta[key][1] = meta[key][1];
+      else cmd.meta[key] = meta[key];
+    }
+    for (const dk in entries) {
+      if (cmd.entries[dk]) cmd.entries[dk][1] = entries[dk][1];
+      else cmd.entries[dk] = entries[dk];
+    }
+  } else {
+    cmd = { label, meta, entries, coalesce };
+    undoStack.push(cmd);
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  }
+  redoStack = [];
+  saveData(Object.keys(entries));
+  if (document.getElementById('search-input').value.trim()) scheduleSearchResults();
+  if (toast) showToast(label, { label: 'Undo', onClick: () => { if (undoStack[undoStack.length - 1] === cmd) undo(); } });
+  return result;
+}
+
+// side 0 restores the state before the command, 1 the state after it
+function applyCommand(cmd, side) {
+  backlinkCache = null;
+  for (const key in cmd.meta) {
+    const json = cmd.meta[key][side];
+    if (json === null) delete data[key];
+    else data[key] = JSON.parse(json);
+  }
+  for (const dk in cmd.entries) {
+    const json = cmd.entries[dk][side];
+    if (json === null) delete data.entries[dk];
+    else data.entries[dk] = JSON.parse(json);
+  }
+  saveData(Object.keys(cmd.entries));
+  render();
+  if (archivePanelOpen) renderArchivePanel();
+}
+
+// Changes from another tab or from sync never go through mutate(). A stacked
+// command covering an entry or meta field they touched would write its old
+// snapshot over them, so such commands are dropped from both stacks.
+function dropUndoFor(dateKeys, fields = []) {
+  const stale = cmd => dateKeys.some(dk => dk in cmd.entries) || fields.some(key => key in cmd.meta);
+  undoStack = undoStack.filter(cmd => !stale(cmd));
+  redoStack = redoStack.filter(cmd => !stale(cmd));
+}
+
+function undo() {
+  closeActiveCell();
+  const cmd = undoStack.pop();
+  if (!cmd) return showToast('Nothing to undo');
+  applyCommand(cmd, 0);
+  redoStack.push(cmd);
+  showToast(`Undone: ${cmd.label}`, { label: 'Redo', onClick: () => { if (redoStack[redoStack.length - 1] === cmd) redo(); } });
+}
+
+function redo() {
+  closeActiveCell();
+  const cmd = redoStack.pop();
+  if (!cmd) return showToast('Nothing to redo');
+  applyCommand(cmd, 1);
+  undoStack.push(cmd);
+  showToast(`Redone: ${cmd.label}`, { label: 'Undo', onClick: () => { if (undoStack[undoStack.length - 1] === cmd) undo(); } });
+}
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
 function uid() {
@@ -54,6 +566,22 @@ function dateKey(year, month, day) {
   return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 }
 
+function keyToDate(dk) {
+  const [y, m, d] = dk.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function dateToKey(date) {
+  return dateKey(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Inclusive list of date keys between two keys
+function dateKeysBetween(from, to) {
+  const keys = [];
+  for (const d = keyToDate(from); dateToKey(d) <= to; d.setDate(d.getDate() + 1)) keys.push(dateToKey(d));
+  return keys;
+}
+
 function daysInMonth(year, month) {
   return new Date(year, month + 1, 0).getDate();
 }
@@ -81,18 +609,29 @@ function allTopicNames() {
 
 let modalResolve = null;
 
-function openRenameModal(initialValue = '', existingNames = []) {
+function openRenameModal(initialValue = '', existingNames = [], {
+  title = 'Name this topic',
+  placeholder = 'Topic name…',
+  duplicate = 'A topic with that name already exists. Choose a different name.',
+  onMerge = null,  // offered next to the error: called with the existing name
+  mergeNames = existingNames
+} = {}) {
   return new Promise(resolve => {
     modalResolve = resolve;
     const modal = document.getElementById('rename-modal');
     const input = document.getElementById('rename-input');
     const error = document.getElementById('rename-error');
     const saveBtn = document.getElementById('rename-save');
+    const mergeBtn = document.getElementById('rename-merge');
     const overlay = document.getElementById('overlay');
 
+    document.getElementById('rename-title').textContent = title;
+    input.placeholder = placeholder;
+    error.textContent = duplicate;
     input.value = initialValue;
     input.classList.remove('invalid');
     error.classList.add('hidden');
+    mergeBtn.classList.add('hidden');
     saveBtn.disabled = false;
 
     modal.classList.remove('hidden');
@@ -105,11 +644,17 @@ function openRenameModal(initialValue = '', existingNames = []) {
       const dup = existingNames.includes(val.toLowerCase()) && val.toLowerCase() !== initialValue.toLowerCase();
       input.classList.toggle('invalid', dup || !val);
       error.classList.toggle('hidden', !dup);
+      mergeBtn.classList.toggle('hidden', !dup || !onMerge || !mergeNames.includes(val.toLowerCase()));
       saveBtn.disabled = dup || !val;
     }
 
     input.oninput = validate;
 
+    mergeBtn.onclick = () => {
+      closeModal(null);
+      onMerge(input.value.trim());
+    };
+
     saveBtn.onclick = () => {
       const val = input.value.trim();
       if (!val) return;
@@ -140,7 +685,7 @@ function buildHeaders() {
   const container = document.getElementById('column-headers');
   container.querySelectorAll('.topic-header').forEach(el => el.remove());
   const spacer = document.getElementById('header-spacer');
-  data.pinnedTopics.filter(t => !t.archived).forEach(topic => {
+  shownTopics().forEach(topic => {
     container.insertBefore(makeTopicHeader(topic), spacer);
   });
   updateArchiveBtn();
@@ -150,58 +695,46 @@ function makeTopicHeader(topic) {
   const el = document.createElement('div');
   el.className = 'header-cell topic-header';
   el.dataset.topicId = topic.id;
+  el.draggable = true;
   if (expandedColumns.has(topic.id)) el.classList.add('expanded');
 
   el.innerHTML = `
     <span class="header-label">${escHtml(topic.name)}</span>
     <span class="expand-indicator">${expandedColumns.has(topic.id) ? '▴' : '▾'}</span>
+    <button class="stats-btn" title="Column stats">📈</button>
+    <button class="type-btn" title="Column type, template and active months">⚙</button>
     <button class="archive-btn" title="Archive column">🙈</button>
     <button class="unpin-btn" title="Unpin column (convert to free cells)">📌</button>
     <button class="del-col-btn" title="Delete column and all its data">✕</button>
   `;
 
+  el.querySelector('.stats-btn').addEventListener('click', e => {
+    e.stopPropagation();
+    openStatsModal(topic);
+  });
+
+  el.querySelector('.type-btn').addEventListener('click', e => {
+    e.stopPropagation();
+    openTypeModal(topic);
+  });
+
   el.querySelector('.archive-btn').addEventListener('click', e => {
     e.stopPropagation();
-    topic.archived = true;
-    expandedColumns.delete(topic.id);
-    saveData();
-    render();
-    // re-render panel if open
-    if (archivePanelOpen) renderArchivePanel();
+    archiveTopic(topic);
   });
 
-  el.querySelector('.del-col-btn').addEventListener('click', async e => {
+  el.querySelector('.del-col-btn').addEventListener('click', e => {
     e.stopPropagation();
-    if (!confirm(`Delete column "${topic.name}" and all its data?`)) return;
-    data.pinnedTopics = data.pinnedTopics.filter(t => t.id !== topic.id);
-    for (const dk in data.entries) {
-      if (data.entries[dk].pinned) delete data.entries[dk].pinned[topic.id];
-    }
-    expandedColumns.delete(topic.id);
-    saveData();
-    render();
+    deleteTopic(topic);
   });
 
   el.querySelector('.unpin-btn').addEventListener('click', e => {
     e.stopPropagation();
-    // Convert all entries with content into free cells; skip empty ones
-    for (const dk in data.entries) {
-      const entry = data.entries[dk];
-      const text = entry.pinned && entry.pinned[topic.id];
-      if (text) {
-        if (!entry.free) entry.free = [];
-        entry.free.push({ id: uid(), name: topic.name, text });
-      }
-      if (entry.pinned) delete entry.pinned[topic.id];
-    }
-    data.pinnedTopics = data.pinnedTopics.filter(t => t.id !== topic.id);
-    expandedColumns.delete(topic.id);
-    saveData();
-    render();
+    unpinTopic(topic);
   });
 
   el.addEventListener('click', e => {
-    if (['del-col-btn','unpin-btn','archive-btn'].some(c => e.target.classList.contains(c))) return;
+    if (['del-col-btn','unpin-btn','archive-btn','type-btn','stats-btn'].some(c => e.target.classList.contains(c))) return;
     if (expandedColumns.has(topic.id)) {
       expandedColumns.delete(topic.id);
     } else {
@@ -214,448 +747,4741 @@ function makeTopicHeader(topic) {
     document.querySelectorAll(`.topic-cell[data-topic-id="${topic.id}"]`).forEach(cell => {
       cell.classList.toggle('col-expanded', expandedColumns.has(topic.id));
     });
+    updateRoute();
   });
 
   // Double-click to rename
-  el.querySelector('.header-label').addEventListener('dblclick', async e => {
+  el.querySelector('.header-label').addEventListener('dblclick', e => {
     e.stopPropagation();
-    const others = data.pinnedTopics.filter(t => t.id !== topic.id).map(t => t.name.toLowerCase());
-    const newName = await openRenameModal(topic.name, others);
-    if (!newName || newName === topic.name) return;
-    topic.name = newName;
-    saveData();
-    buildHeaders();
-    document.querySelectorAll(`.topic-cell[data-topic-id="${topic.id}"] .free-cell-header .free-cell-name`).forEach(el => el.textContent = newName);
+    renameTopic(topic);
   });
 
   return el;
 }
 
-// ─── Build rows ───────────────────────────────────────────────────────────────
+// ─── Column actions ───────────────────────────────────────────────────────────
 
-function buildRows() {
-  const container = document.getElementById('rows-container');
-  container.innerHTML = '';
-  const days = daysInMonth(currentYear, currentMonth);
-  for (let d = 1; d <= days; d++) {
-    container.appendChild(makeRow(d));
-  }
+function archiveTopic(topic) {
+  mutate(`Column "${topic.name}" archived`, [], () => {
+    findTopic(topic.id).archived = true;
+  }, { toast: true });
+  expandedColumns.delete(topic.id);
+  render();
+  // re-render panel if open
+  if (archivePanelOpen) renderArchivePanel();
 }
 
-function makeRow(day) {
-  const dk = dateKey(currentYear, currentMonth, day);
-  const entry = getEntry(dk);
-
-  const row = document.createElement('div');
-  row.className = 'day-row';
-  row.dataset.dateKey = dk;
-  if (isToday(currentYear, currentMonth, day)) row.classList.add('today');
-  if (isWeekend(currentYear, currentMonth, day)) row.classList.add('weekend');
-
-  // Date cell
-  const dateCell = document.createElement('div');
-  dateCell.className = 'date-cell';
-  dateCell.innerHTML = `
-    <span class="day-num">${day}</span>
-    <span class="day-name">${dayName(currentYear, currentMonth, day)}</span>
-  `;
-  row.appendChild(dateCell);
-
-  // Pinned topic cells (skip archived)
-  data.pinnedTopics.filter(t => !t.archived).forEach(topic => {
-    row.appendChild(makePinnedCell(dk, topic, entry.pinned[topic.id] || ''));
+function unarchiveTopic(topic) {
+  mutate(`Column "${topic.name}" unarchived`, [], () => {
+    delete findTopic(topic.id).archived;
   });
+  render();
+  if (archivePanelOpen) renderArchivePanel();
+}
 
-  // Free cells area
-  const freeArea = document.createElement('div');
-  freeArea.className = 'free-cells-area';
-  freeArea.dataset.dateKey = dk;
-
-  (entry.free || []).forEach(fc => {
-    freeArea.appendChild(makeFreeCell(dk, fc));
-  });
+// A topic may be limited to the months topic.start..topic.end ('YYYY-MM',
+// either end open). The grid leaves it out of periods it doesn't overlap; the
+// timeline, whose months share one header row, blanks its inactive months.
+function topicActiveIn(topic, fromMonth, toMonth) {
+  return (!topic.start || topic.start <= toMonth) && (!topic.end || topic.end >= fromMonth);
+}
 
-  // Add-free-cell button
-  const addBtn = document.createElement('button');
-  addBtn.className = 'add-free-cell-btn';
-  addBtn.title = 'Add a topic cell to this day';
-  addBtn.textContent = '+';
-  addBtn.addEventListener('click', () => addFreeCellToRow(dk, freeArea, addBtn));
-  freeArea.appendChild(addBtn);
+function topicShownOn(topic, dk) {
+  return !topic.archived && topicActiveIn(topic, dk.slice(0, 7), dk.slice(0, 7));
+}
 
-  row.appendChild(freeArea);
-  return row;
+// Columns of the current view, in order
+function shownTopics() {
+  const topics = data.pinnedTopics.filter(t => !t.archived);
+  if (currentView === 'timeline') return topics;
+  if (currentView === 'year') return topics.filter(t => topicActiveIn(t, `${currentYear}-01`, `${currentYear}-12`));
+  const keys = visibleDateKeys();
+  return topics.filter(t => topicActiveIn(t, keys[0].slice(0, 7), keys[keys.length - 1].slice(0, 7)));
 }
 
-// ─── Pinned cell ──────────────────────────────────────────────────────────────
+function isEndedTopic(topic) {
+  return !!topic.end && topic.end < dateToKey(new Date()).slice(0, 7);
+}
 
-function makePinnedCell(dk, topic, text) {
-  const cell = document.createElement('div');
-  cell.className = 'topic-cell';
-  cell.dataset.topicId = topic.id;
-  cell.dataset.dateKey = dk;
-  if (expandedColumns.has(topic.id)) cell.classList.add('col-expanded');
+function formatMonthKey(mk) {
+  const [y, m] = mk.split('-').map(Number);
+  return `${MONTH_NAMES[m - 1].slice(0, 3)} ${y}`;
+}
 
-  // Preview: rendered markdown
-  const preview = document.createElement('div');
-  preview.className = text ? 'cell-preview' : 'cell-preview empty-hint';
-  if (text) preview.innerHTML = renderMd(text);
-  else preview.textContent = '…';
+function describeTopicSpan(topic) {
+  if (topic.start && topic.end) return `${formatMonthKey(topic.start)} – ${formatMonthKey(topic.end)}`;
+  if (topic.start) return `from ${formatMonthKey(topic.start)}`;
+  if (topic.end) return `until ${formatMonthKey(topic.end)}`;
+  return 'no date limits';
+}
 
-  // Editor: seamless textarea, no buttons
-  const editorWrap = document.createElement('div');
-  editorWrap.className = 'cell-editor-wrap';
-  const textarea = document.createElement('textarea');
-  textarea.className = 'cell-textarea';
-  textarea.value = text;
-  textarea.placeholder = `Notes for ${topic.name}…`;
-  editorWrap.appendChild(textarea);
+function topicEntryCount(topic) {
+  let n = 0;
+  for (const dk in data.entries) {
+    if (!isEmptyValue(data.entries[dk].pinned && data.entries[dk].pinned[topic.id])) n++;
+  }
+  return n;
+}
 
-  cell.appendChild(preview);
-  cell.appendChild(editorWrap);
+// end = 'YYYY-MM' or null to keep the column going
+function setTopicEnd(topic, end) {
+  const label = end ? `Column "${topic.name}" ends ${formatMonthKey(end)}` : `Column "${topic.name}" reopened`;
+  mutate(label, [], () => {
+    const t = findTopic(topic.id);
+    if (end) t.end = end;
+    else delete t.end;
+  }, { toast: true });
+  render();
+  if (archivePanelOpen) renderArchivePanel();
+}
 
-  function openCell(e) {
-    if (cell.classList.contains('active')) return;
-    closeActiveCell();
-    cell.classList.add('active');
-    activeCell = { el: cell };
-    textarea.focus();
-    // place cursor at click position if possible
-    if (e) {
-      try {
-        const range = document.caretRangeFromPoint
-          ? document.caretRangeFromPoint(e.clientX, e.clientY) : null;
-        if (range) {
-          const pos = range.startOffset;
-          textarea.setSelectionRange(pos, pos);
-        }
-      } catch(_) {}
+// Moves the column and its content to the trash
+function deleteTopic(topic) {
+  if (!findTopic(topic.id)) return;
+  mutate(`Column "${topic.name}" deleted`, null, () => {
+    const index = data.pinnedTopics.findIndex(t => t.id === topic.id);
+    const cells = {};
+    for (const dk in data.entries) {
+      const pinned = data.entries[dk].pinned;
+      if (!pinned) continue;
+      if (pinned[topic.id]) cells[dk] = pinned[topic.id];
+      delete pinned[topic.id];
     }
-    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
-  }
+    data.trash.columns.push({ id: uid(), topic: data.pinnedTopics[index], index, cells, deletedAt: Date.now() });
+    data.pinnedTopics.splice(index, 1);
+  }, { toast: true });
+  expandedColumns.delete(topic.id);
+  render();
+}
 
-  function saveCell() {
-    const val = textarea.value;
-    getEntry(dk).pinned[topic.id] = val;
-    saveData();
-    if (val) {
-      preview.innerHTML = renderMd(val);
-      preview.className = 'cell-preview';
-    } else {
-      preview.textContent = '…';
-      preview.className = 'cell-preview empty-hint';
+// Convert all entries with content into free cells; skip empty ones
+function unpinTopic(topic) {
+  mutate(`Column "${topic.name}" unpinned`, null, () => {
+    for (const dk in data.entries) {
+      const entry = data.entries[dk];
+      const text = entry.pinned && formatCellValue(topic, entry.pinned[topic.id]);
+      if (text) {
+        if (!entry.free) entry.free = [];
+        entry.free.push({ id: uid(), name: topic.name, text });
+      }
+      if (entry.pinned) delete entry.pinned[topic.id];
     }
-    cell.classList.remove('active');
-    activeCell = null;
-  }
+    data.pinnedTopics = data.pinnedTopics.filter(t => t.id !== topic.id);
+  }, { toast: true });
+  expandedColumns.delete(topic.id);
+  render();
+}
 
-  cell.addEventListener('click', openCell);
-  textarea.addEventListener('keydown', e => {
-    if (e.key === 'Escape') {
-      // revert and close
-      textarea.value = getEntry(dk).pinned[topic.id] || '';
-      cell.classList.remove('active');
-      activeCell = null;
-    }
-    if (e.key === 's' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); saveCell(); }
+async function renameTopic(topic) {
+  const others = data.pinnedTopics.filter(t => t.id !== topic.id).map(t => t.name.toLowerCase());
+  const newName = await openRenameModal(topic.name, others, {
+    onMerge: name => openMergeModal({ targetId: topicByName(name).id, topicIds: [topic.id] })
   });
-  // expose saveCell so closeActiveCell can call it
-  cell._saveCell = saveCell;
-
-  return cell;
+  if (!newName || newName === topic.name) return;
+  mutate(`Column "${topic.name}" renamed to "${newName}"`, null, () => {
+    retargetLinks(topic.name, newName);
+    findTopic(topic.id).name = newName;
+  }, { toast: true });
+  render();
 }
 
-// ─── Free cell ────────────────────────────────────────────────────────────────
+function findTopic(id) {
+  return data.pinnedTopics.find(t => t.id === id);
+}
 
-function makeFreeCell(dk, fc) {
-  const cell = document.createElement('div');
-  cell.className = 'free-cell';
-  cell.dataset.freeCellId = fc.id;
-  cell.dataset.dateKey = dk;
+function topicByName(name) {
+  return data.pinnedTopics.find(t => t.name.toLowerCase() === name.toLowerCase());
+}
 
-  // header
-  const header = document.createElement('div');
-  header.className = 'free-cell-header';
+// ─── Merge & split ───────────────────────────────────────────────────────────
+//
+// Merging folds source columns, and every free cell carrying one of the source
+// names, into a target column day by day. Where different values meet on a
+// day the user picks, per day, to concatenate them (text columns only) or
+// keep one; texts that are not kept go to the trash as free cells. Values a
+// typed target can't hold stay behind as free cells named after it.
+// Splitting moves chosen days of a column to a new column of the same type.
+
+let mergeState = null; // { newId, topicIds: Set, names: Map lower case -> spelling, days, choices: Map dk -> choice }
+let splitSource = null;
+
+// One record per day that has something to merge: `parts` holds the values
+// the target can take (its own first, then the source columns', then the
+// free cells'), `failed` the ones it can't, `freeIds` every matching free cell.
+// A choice is 'concat' or the index of the part to keep.
+function planTopicMerge(target, topicIds, names) {
+  const typed = topicType(target) !== 'markdown';
+  const sources = topicIds.map(findTopic).filter(Boolean);
+  const days = [];
+  Object.keys(data.entries).sort().forEach(dk => {
+    const entry = data.entries[dk];
+    const pinned = entry.pinned || {};
+    const parts = [];
+    const failed = [];
+    const add = (part, text) => {
+      if (!text) return;
+      const value = typed ? parseCellValue(target, text) : text;
+      if (value === undefined) failed.push({ ...part, text });
+      else if (value !== null) parts.push({ ...part, text, value });
+    };
+    if (!isEmptyValue(pinned[target.id])) {
+      parts.push({ own: true, name: target.name, topicId: target.id,
+                   text: formatCellValue(target, pinned[target.id]), value: pinned[target.id] });
+    }
+    sources.forEach(t => add({ name: t.name, topicId: t.id }, formatCellValue(t, pinned[t.id])));
+    const free = (entry.free || []).filter(f => names.includes(f.name.toLowerCase()));
+    free.forEach(f => add({ name: f.name, freeCellId: f.id }, f.text || ''));
+    if (!parts.length && !failed.length && !free.length) return;
+    const conflict = new Set(parts.map(p => JSON.stringify(p.value))).size > 1;
+    days.push({ dk, parts, failed, freeIds: free.map(f => f.id), conflict });
+  });
+  return days;
+}
 
-  const nameSpan = document.createElement('span');
-  nameSpan.className = 'free-cell-name';
-  nameSpan.textContent = fc.name;
-  nameSpan.title = fc.name;
+// 'concat', 'target' (keep the target's own value) or 'source' (keep the first merged-in one)
+function mergeChoiceFor(day, strategy) {
+  if (strategy === 'concat') return 'concat';
+  return Math.max(0, day.parts.findIndex(p => strategy === 'target' ? p.own : !p.own));
+}
 
-  const actionsDiv = document.createElement('div');
-  actionsDiv.className = 'free-cell-actions';
+// Call inside mutate(); `target` must already be in data.pinnedTopics.
+// `choose(day)` is asked for every day with a conflict.
+function mergeIntoTopic(target, topicIds, names, choose) {
+  const markdown = topicType(target) === 'markdown';
+  for (const day of planTopicMerge(target, topicIds, names)) {
+    const entry = getEntry(day.dk);
+    const before = entry.pinned[target.id];
+    const choice = day.conflict ? choose(day) : 0;
+    let kept = day.parts;
+    let value = null;
+    if (choice === 'concat') {
+      value = [...new Set(day.parts.map(p => p.text))].reduce(joinTexts, '');
+    } else if (day.parts.length) {
+      value = day.parts[choice].value;
+      kept = day.parts.filter(p => JSON.stringify(p.value) === JSON.stringify(value));
+    }
+    day.parts.filter(p => !kept.includes(p)).forEach(p => {
+      data.trash.freeCells.push({ id: uid(), dateKey: day.dk, cell: { id: p.freeCellId || uid(), name: p.name, text: p.text },
+                                  index: entry.free.length, deletedAt: Date.now() });
+    });
+    if (day.parts.length) entry.pinned[target.id] = value;
+
+    // a value arriving whole in an empty cell brings its history along
+    const from = kept.length === 1 && !kept[0].own ? kept[0].freeCellId || kept[0].topicId : null;
+    if (markdown && from && cellRevisions(day.dk, from).length && !cellRevisions(day.dk, target.id).length) {
+      entry.revisions[target.id] = entry.revisions[from];
+      delete entry.revisions[from];
+    } else if (markdown && day.parts.length && value !== (before || '')) {
+      recordRevision(day.dk, target.id, before || '', value);
+    }
 
-  const pinBtn = document.createElement('button');
-  pinBtn.className = 'pin-btn';
-  pinBtn.title = 'Pin as global column';
-  pinBtn.textContent = '📌';
+    entry.free = entry.free.filter(f => !day.freeIds.includes(f.id));
+    day.failed.forEach(p => entry.free.push({ id: p.freeCellId || uid(), name: target.name, text: p.text }));
+  }
+  for (const dk in data.entries) {
+    const pinned = data.entries[dk].pinned;
+    if (pinned) topicIds.forEach(id => delete pinned[id]);
+  }
+  [...topicIds.map(id => findTopic(id).name), ...names].forEach(name => retargetLinks(name, target.name));
+  data.pinnedTopics = data.pinnedTopics.filter(t => !topicIds.includes(t.id));
+}
 
-  const renameBtn = document.createElement('button');
-  renameBtn.title = 'Rename';
-  renameBtn.textContent = '✎';
+// Without a target the first column is preselected
+function openMergeModal({ targetId = '', topicIds = [], names = [] } = {}) {
+  closeActiveCell();
+  if (!targetId && data.pinnedTopics.length) targetId = data.pinnedTopics[0].id;
+  mergeState = {
+    newId: uid(),
+    topicIds: new Set(topicIds.filter(id => id !== targetId)),
+    names: new Map(names.map(n => [n.toLowerCase(), n])),
+    days: [],
+    choices: new Map()
+  };
+  const select = document.getElementById('merge-target');
+  select.innerHTML = data.pinnedTopics
+    .map(t => `<option value="${t.id}">${escHtml(t.name)}${t.archived ? ' (archived)' : ''}</option>`)
+    .join('') + '<option value="">New column…</option>';
+  select.value = findTopic(targetId) ? targetId : '';
+  document.getElementById('merge-new-name').value = '';
+  document.getElementById('merge-strategy').value = 'concat';
+  updateMergeTarget();
+  document.getElementById('merge-modal').classList.remove('hidden');
+  document.getElementById('overlay').classList.remove('hidden');
+  document.getElementById('overlay').onclick = closeMergeModal;
+  (select.value ? select : document.getElementById('merge-new-name')).focus();
+}
 
-  const delBtn = document.createElement('button');
-  delBtn.title = 'Delete';
-  delBtn.textContent = '✕';
+function closeMergeModal() {
+  mergeState = null;
+  document.getElementById('merge-modal').classList.add('hidden');
+  document.getElementById('overlay').classList.add('hidden');
+}
 
-  actionsDiv.appendChild(pinBtn);
-  actionsDiv.appendChild(renameBtn);
-  actionsDiv.appendChild(delBtn);
-  header.appendChild(nameSpan);
-  header.appendChild(actionsDiv);
+// The selected target, or a stand-in for the new column
+function mergeTarget() {
+  const id = document.getElementById('merge-target').value;
+  return findTopic(id) || { id: mergeState.newId, name: document.getElementById('merge-new-name').value.trim() || 'New column' };
+}
 
-  // preview / editor
+function updateMergeTarget() {
+  const target = mergeTarget();
+  mergeState.topicIds.delete(target.id);
+  document.getElementById('merge-new-name').classList.toggle('hidden', !!findTopic(target.id));
+  const typed = topicType(target) !== 'markdown';
+  const strategy = document.getElementById('merge-strategy');
+  strategy.querySelector('option[value="concat"]').disabled = typed;
+  if (typed && strategy.value === 'concat') strategy.value = 'target';
+  renderMergeSources();
+  renderMergePreview();
+}
+
+function renderMergeSources() {
+  const target = mergeTarget();
+  const wrap = document.getElementById('merge-sources');
+  wrap.innerHTML = '';
+  const counts = new Map();
+  const freeNames = new Map(); // lower case -> { name, count }, newest spelling wins
+  Object.keys(data.entries).sort().forEach(dk => {
+    const entry = data.entries[dk];
+    for (const id in entry.pinned || {}) {
+      if (!isEmptyValue(entry.pinned[id])) counts.set(id, (counts.get(id) || 0) + 1);
+    }
+    (entry.free || []).forEach(f => {
+      const key = f.name.toLowerCase();
+      freeNames.set(key, { name: f.name, count: ((freeNames.get(key) || {}).count || 0) + 1 });
+    });
+  });
+
+  const option = (kind, value, label, count, checked) => {
+    const el = document.createElement('label');
+    el.className = 'merge-source';
+    el.innerHTML = `<input type="checkbox" /><span class="merge-source-name"></span><span class="trash-item-meta"></span>`;
+    const box = el.querySelector('input');
+    box.checked = checked;
+    el.querySelector('.merge-source-name').textContent = kind === 'free' ? `${label} (free cells)` : label;
+    el.querySelector('.trash-item-meta').textContent = `${count} day${count === 1 ? '' : 's'}`;
+    box.addEventListener('change', () => {
+      if (kind === 'free' && box.checked) mergeState.names.set(value, label);
+      else if (kind === 'free') mergeState.names.delete(value);
+      else if (box.checked) mergeState.topicIds.add(value);
+      else mergeState.topicIds.delete(value);
+      mergeState.choices.clear();
+      renderMergePreview();
+    });
+    wrap.appendChild(el);
+  };
+  data.pinnedTopics.filter(t => t.id !== target.id).forEach(t => {
+    option('topic', t.id, `▥ ${t.name}${t.archived ? ' (archived)' : ''}`, counts.get(t.id) || 0, mergeState.topicIds.has(t.id));
+  });
+  [...freeNames].sort((a, b) => a[0].localeCompare(b[0])).forEach(([key, f]) => {
+    option('free', key, f.name, f.count, mergeState.names.has(key));
+  });
+  if (!wrap.children.length) wrap.innerHTML = '<p class="archive-empty">Nothing else to merge.</p>';
+}
+
+function renderMergePreview() {
+  const target = mergeTarget();
+  const typed = topicType(target) !== 'markdown';
+  const strategy = document.getElementById('merge-strategy').value;
+  const days = planTopicMerge(target, [...mergeState.topicIds], [...mergeState.names.keys()]);
+  const conflicts = days.filter(d => d.conflict);
+  const nFailed = days.reduce((n, d) => n + d.failed.length, 0);
+  const chosen = mergeState.topicIds.size + mergeState.names.size;
+  mergeState.days = days;
+
+  document.getElementById('merge-summary').textContent = !chosen ? 'Pick what to merge'
+    : `${days.length} day${days.length === 1 ? '' : 's'} · ${conflicts.length} to decide`;
+  document.getElementById('merge-note').textContent = nFailed
+    ? `${nFailed} value${nFailed === 1 ? '' : 's'} can't be stored as ${CELL_TYPES[topicType(target)].toLowerCase()} ` +
+      `(e.g. "${snippet(days.find(d => d.failed.length).failed[0].text, 30)}") and will stay as free cells named "${target.name}".`
+    : '';
+  document.getElementById('merge-save').disabled = !chosen;
+
+  const list = document.getElementById('merge-conflicts');
+  list.classList.toggle('hidden', !conflicts.length);
+  list.innerHTML = '';
+  conflicts.forEach(day => {
+    const head = document.createElement('div');
+    head.className = 'import-conflict-date merge-conflict-date';
+    const select = document.createElement('select');
+    select.title = `What ${day.dk} keeps`;
+    select.innerHTML = (typed ? '' : '<option value="concat">Concatenate</option>') +
+      day.parts.map((p, i) => `<option value="${i}">Keep ${escHtml(p.name)}${p.freeCellId ? ' (free)' : ''}</option>`).join('');
+    const choice = mergeState.choices.has(day.dk) ? mergeState.choices.get(day.dk) : mergeChoiceFor(day, strategy);
+    select.value = String(choice);
+    head.innerHTML = `<span>${day.dk}</span>`;
+    head.appendChild(select);
+    list.appendChild(head);
+
+    const rows = day.parts.map(p => {
+      const row = document.createElement('div');
+      row.className = 'merge-part';
+      row.innerHTML = `
+        <span class="import-conflict-topic">${escHtml(p.name)}${p.freeCellId ? ' <i>(free)</i>' : ''}</span>
+        <span class="import-conflict-mine" title="${escHtml(p.text)}">${escHtml(snippet(p.text))}</span>`;
+      list.appendChild(row);
+      return row;
+    });
+    const markDropped = () => {
+      const keep = select.value === 'concat' ? null : JSON.stringify(day.parts[select.value].value);
+      day.parts.forEach((p, i) => rows[i].classList.toggle('dropped', keep !== null && JSON.stringify(p.value) !== keep));
+    };
+    select.addEventListener('change', () => {
+      mergeState.choices.set(day.dk, select.value === 'concat' ? 'concat' : Number(select.value));
+      markDropped();
+    });
+    markDropped();
+  });
+}
+
+function applyMergeModal() {
+  const topicIds = [...mergeState.topicIds];
+  const names = [...mergeState.names.keys()];
+  if (!topicIds.length && !names.length) return;
+  const error = document.getElementById('merge-error');
+  const existing = findTopic(document.getElementById('merge-target').value);
+  let target = existing;
+  if (!target) {
+    const name = document.getElementById('merge-new-name').value.trim();
+    const taken = data.pinnedTopics.some(t => t.name.toLowerCase() === name.toLowerCase() && !topicIds.includes(t.id));
+    error.textContent = !name ? 'Name the new column.' : 'A topic with that name already exists.';
+    error.classList.toggle('hidden', !!name && !taken);
+    if (!name || taken) return;
+    target = { id: mergeState.newId, name };
+  }
+  const strategy = document.getElementById('merge-strategy').value;
+  const { choices } = mergeState;
+  const what = [
+    ...topicIds.map(id => `"${findTopic(id).name}"`),
+    ...[...mergeState.names.values()].map(n => `"${n}"`)
+  ].join(', ');
+  closeMergeModal();
+  mutate(`Merged ${what} into "${target.name}"`, null, () => {
+    if (!existing) {
+      const i = data.pinnedTopics.findIndex(t => topicIds.includes(t.id));
+      data.pinnedTopics.splice(i < 0 ? data.pinnedTopics.length : i, 0, target);
+    }
+    mergeIntoTopic(target, topicIds, names, day => choices.has(day.dk) ? choices.get(day.dk) : mergeChoiceFor(day, strategy));
+  }, { toast: true });
+  topicIds.forEach(id => expandedColumns.delete(id));
+  render();
+}
+
+document.getElementById('merge-target').addEventListener('change', () => {
+  mergeState.choices.clear();
+  updateMergeTarget();
+});
+document.getElementById('merge-new-name').addEventListener('input', () => {
+  document.getElementById('merge-error').classList.add('hidden');
+});
+document.getElementById('merge-strategy').addEventListener('change', () => {
+  mergeState.choices.clear();
+  renderMergePreview();
+});
+document.getElementById('merge-cancel').addEventListener('click', closeMergeModal);
+document.getElementById('merge-save').addEventListener('click', applyMergeModal);
+document.getElementById('merge-modal').addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeMergeModal();
+});
+
+function openSplitModal(topic) {
+  closeActiveCell();
+  splitSource = topic;
+  document.getElementById('split-modal-title').textContent = `Split "${topic.name}"`;
+  document.getElementById('split-name').value = '';
+  document.getElementById('split-from').value = '';
+  document.getElementById('split-to').value = '';
+  document.getElementById('split-error').classList.add('hidden');
+  const list = document.getElementById('split-days');
+  list.innerHTML = '';
+  Object.keys(data.entries).sort().forEach(dk => {
+    const value = data.entries[dk].pinned && data.entries[dk].pinned[topic.id];
+    if (isEmptyValue(value)) return;
+    const text = formatCellValue(topic, value);
+    const row = document.createElement('label');
+    row.className = 'merge-part split-day';
+    row.innerHTML = `
+      <span class="import-conflict-topic"><input type="checkbox" value="${dk}" /> ${dk}</span>
+      <span class="import-conflict-mine" title="${escHtml(text)}">${escHtml(snippet(text))}</span>`;
+    list.appendChild(row);
+  });
+  if (!list.children.length) list.innerHTML = '<p class="archive-empty">The column has no values yet.</p>';
+  document.getElementById('split-modal').classList.remove('hidden');
+  document.getElementById('overlay').classList.remove('hidden');
+  document.getElementById('overlay').onclick = closeSplitModal;
+  document.getElementById('split-name').focus();
+}
+
+function closeSplitModal() {
+  splitSource = null;
+  document.getElementById('split-modal').classList.add('hidden');
+  document.getElementById('overlay').classList.add('hidden');
+}
+
+function splitDayBoxes() {
+  return [...document.querySelectorAll('#split-days input[type="checkbox"]')];
+}
+
+// Tick the days within from..to (either end may be open)
+function selectSplitRange() {
+  const from = document.getElementById('split-from').value;
+  const to = document.getElementById('split-to').value;
+  if (!from && !to) return;
+  splitDayBoxes().forEach(box => {
+    box.checked = (!from || box.value >= from) && (!to || box.value <= to);
+  });
+}
+
+function applySplit() {
+  const topic = splitSource;
+  const name = document.getElementById('split-name').value.trim();
+  const dks = splitDayBoxes().filter(box => box.checked).map(box => box.value);
+  const error = document.getElementById('split-error');
+  error.textContent = !name ? 'Name the new column.'
+    : allTopicNames().includes(name.toLowerCase()) ? 'A topic with that name already exists.'
+    : !dks.length ? 'Pick at least one day.' : '';
+  error.classList.toggle('hidden', !error.textContent);
+  if (error.textContent) return;
+  closeSplitModal();
+  const { archived, ...settings } = topic;
+  const created = { ...settings, id: uid(), name };
+  mutate(`${dks.length} day${dks.length === 1 ? '' : 's'} of "${topic.name}" split into "${name}"`, null, () => {
+    data.pinnedTopics.splice(data.pinnedTopics.findIndex(t => t.id === topic.id) + 1, 0, created);
+    dks.forEach(dk => {
+      const entry = getEntry(dk);
+      entry.pinned[created.id] = entry.pinned[topic.id];
+      delete entry.pinned[topic.id];
+      if (entry.revisions && entry.revisions[topic.id]) {
+        entry.revisions[created.id] = entry.revisions[topic.id];
+        delete entry.revisions[topic.id];
+      }
+    });
+    retargetLinks(topic.name, name, dks);
+  }, { toast: true });
+  render();
+}
+
+document.getElementById('split-from').addEventListener('change', selectSplitRange);
+document.getElementById('split-to').addEventListener('change', selectSplitRange);
+document.getElementById('split-all').addEventListener('click', () => splitDayBoxes().forEach(box => { box.checked = true; }));
+document.getElementById('split-none').addEventListener('click', () => splitDayBoxes().forEach(box => { box.checked = false; }));
+document.getElementById('split-cancel').addEventListener('click', closeSplitModal);
+document.getElementById('split-save').addEventListener('click', applySplit);
+document.getElementById('split-modal').addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeSplitModal();
+});
+
+// ─── Build rows ───────────────────────────────────────────────────────────────
+
+// Date keys of the rows the current view shows
+function visibleDateKeys() {
+  if (currentView === 'week') {
+    const end = keyToDate(weekStart);
+    end.setDate(end.getDate() + 6);
+    return dateKeysBetween(weekStart, dateToKey(end));
+  }
+  const keys = [];
+  const days = daysInMonth(currentYear, currentMonth);
+  for (let d = 1; d <= days; d++) keys.push(dateKey(currentYear, currentMonth, d));
+  return keys;
+}
+
+function buildRows() {
+  const container = document.getElementById('rows-container');
+  if (currentView === 'timeline') {
+    buildTimeline(container);
+    return;
+  }
+  container.innerHTML = '';
+  if (currentView === 'year') {
+    buildYearView(container);
+    return;
+  }
+  visibleDateKeys().forEach(dk => container.appendChild(makeRow(dk)));
+}
+
+function makeRow(dk) {
+  const entry = data.entries[dk] || EMPTY_ENTRY;
+  const date = keyToDate(dk);
+  const [year, month, day] = [date.getFullYear(), date.getMonth(), date.getDate()];
+
+  const row = document.createElement('div');
+  row.className = 'day-row';
+  row.dataset.dateKey = dk;
+  if (isToday(year, month, day)) row.classList.add('today');
+  if (isWeekend(year, month, day)) row.classList.add('weekend');
+
+  // Date cell
+  const dateCell = document.createElement('div');
+  dateCell.className = 'date-cell';
+  dateCell.innerHTML = `
+    <span class="day-num">${day}</span>
+    <span class="day-name">${dayName(year, month, day)}${currentView === 'week' ? ' ' + MONTH_NAMES[month].slice(0, 3) : ''}</span>
+  `;
+  dateCell.appendChild(makeBacklinksBadge(dk));
+  row.appendChild(dateCell);
+
+  // Pinned topic cells (skip archived and those not active this month)
+  shownTopics().forEach(topic => {
+    row.appendChild(topicShownOn(topic, dk)
+      ? makePinnedCell(dk, topic, entry.pinned[topic.id])
+      : makeInactiveCell(dk, topic, entry.pinned[topic.id]));
+  });
+
+  // Free cells area
+  const freeArea = document.createElement('div');
+  freeArea.className = 'free-cells-area';
+  freeArea.dataset.dateKey = dk;
+
+  (entry.free || []).forEach(fc => {
+    freeArea.appendChild(makeFreeCell(dk, fc, matchingRule(dk, fc.name)));
+  });
+  // Recurring cells due today that have not been written yet
+  dueRecurrences(dk).forEach(rule => {
+    freeArea.appendChild(makeFreeCell(dk, { id: recurringCellId(rule, dk), name: rule.name, text: '' }, rule));
+  });
+
+  // Add-free-cell button
+  const addBtn = document.createElement('button');
+  addBtn.className = 'add-free-cell-btn';
+  addBtn.title = 'Add a topic cell to this day';
+  addBtn.textContent = '+';
+  addBtn.addEventListener('click', () => addFreeCellToRow(dk, freeArea, addBtn));
+  freeArea.appendChild(addBtn);
+
+  row.appendChild(freeArea);
+  return row;
+}
+
+// ─── Timeline view ───────────────────────────────────────────────────────────
+//
+// One continuous scroll of months. Each month is a block with a sticky
+// divider; only blocks near the viewport hold rows; the rest keep their last
+// measured height as an empty placeholder. More months are added at either
+// end while scrolling, and the scroll position is pinned to the first visible
+// row whenever blocks above it change height.
+
+const TIMELINE_ROW_ESTIMATE = 45;  // px, until a month has been measured
+const TIMELINE_START_MONTHS = 2;   // months built on each side of the current one
+
+let timelineMonths = [];           // [{ key, year, month, el, rows, rendered, height }]
+let timelineFrame = null;
+
+function monthKey(year, month) {
+  return `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+function shiftMonth(year, month, by) {
+  const d = new Date(year, month + by, 1);
+  return [d.getFullYear(), d.getMonth()];
+}
+
+function makeTimelineMonth(year, month) {
+  const el = document.createElement('section');
+  el.className = 'timeline-month';
+  el.dataset.month = monthKey(year, month);
+  const divider = document.createElement('div');
+  divider.className = 'month-divider';
+  divider.textContent = `${MONTH_NAMES[month]} ${year}`;
+  const rows = document.createElement('div');
+  rows.className = 'timeline-rows';
+  el.append(divider, rows);
+  const item = { key: monthKey(year, month), year, month, el, rows, rendered: false, height: null };
+  rows.style.height = `${daysInMonth(year, month) * TIMELINE_ROW_ESTIMATE}px`;
+  return item;
+}
+
+function materializeMonth(item) {
+  const days = daysInMonth(item.year, item.month);
+  for (let d = 1; d <= days; d++) item.rows.appendChild(makeRow(dateKey(item.year, item.month, d)));
+  item.rows.style.height = '';
+  item.rendered = true;
+}
+
+function virtualizeMonth(item) {
+  item.height = item.rows.offsetHeight;
+  item.rows.innerHTML = '';
+  item.rows.style.height = `${item.height}px`;
+  item.rendered = false;
+}
+
+function timelineTop() {
+  return document.getElementById('column-headers').getBoundingClientRect().bottom;
+}
+
+// First row at least partly below the sticky headers, and where it sits
+function timelineAnchor() {
+  const top = timelineTop();
+  const row = [...document.querySelectorAll('#rows-container .day-row:not(.row-hidden)')]
+    .find(r => r.getBoundingClientRect().bottom > top);
+  return row ? { dk: row.dataset.dateKey, top: row.getBoundingClientRect().top } : null;
+}
+
+function restoreAnchor(anchor) {
+  if (!anchor) return;
+  const row = document.querySelector(`#rows-container .day-row[data-date-key="${anchor.dk}"]`);
+  if (row) window.scrollBy(0, row.getBoundingClientRect().top - anchor.top);
+}
+
+function buildTimeline(container) {
+  // keep the row in view across re-renders; first build centres on the current month
+  const anchor = timelineMonths.length ? timelineAnchor() : null;
+  const [cy, cm] = anchor ? [keyToDate(anchor.dk).getFullYear(), keyToDate(anchor.dk).getMonth()]
+                          : [currentYear, currentMonth];
+  container.innerHTML = '';
+  timelineMonths = [];
+  for (let i = -TIMELINE_START_MONTHS; i <= TIMELINE_START_MONTHS; i++) {
+    const item = makeTimelineMonth(...shiftMonth(cy, cm, i));
+    timelineMonths.push(item);
+    container.appendChild(item.el);
+  }
+  const centre = timelineMonths[TIMELINE_START_MONTHS];
+  materializeMonth(centre);
+  if (anchor) restoreAnchor(anchor);
+  else window.scrollBy(0, centre.el.getBoundingClientRect().top - timelineTop());
+  scheduleTimelineUpdate();
+}
+
+function scheduleTimelineUpdate() {
+  if (currentView !== 'timeline' || timelineFrame) return;
+  timelineFrame = requestAnimationFrame(updateTimeline);
+}
+
+function updateTimeline() {
+  timelineFrame = null;
+  if (currentView !== 'timeline' || !timelineMonths.length) return;
+  const container = document.getElementById('rows-container');
+  const vh = window.innerHeight;
+  const anchor = timelineAnchor();
+  let grew = false;
+
+  const last = timelineMonths[timelineMonths.length - 1];
+  if (last.el.getBoundingClientRect().bottom < 2 * vh) {
+    const item = makeTimelineMonth(...shiftMonth(last.year, last.month, 1));
+    timelineMonths.push(item);
+    container.appendChild(item.el);
+    grew = true;
+  }
+  const first = timelineMonths[0];
+  if (first.el.getBoundingClientRect().top > -vh) {
+    const item = makeTimelineMonth(...shiftMonth(first.year, first.month, -1));
+    timelineMonths.unshift(item);
+    container.prepend(item.el);
+    grew = true;
+  }
+
+  let added = false;
+  timelineMonths.forEach(item => {
+    const r = item.el.getBoundingClientRect();
+    const near = r.bottom > -vh && r.top < 2 * vh;
+    const editing = activeCell && activeCell.dateKey.startsWith(item.key);
+    if (near && !item.rendered) {
+      materializeMonth(item);
+      added = true;
+    } else if (!near && item.rendered && !editing) {
+      virtualizeMonth(item);
+    }
+  });
+  if (added) {
+    const query = document.getElementById('search-input').value;
+    if (query.trim()) applyQuery(query);
+  }
+  restoreAnchor(anchor);
+  updateTimelineMonth();
+  // keep going until the viewport is covered (not without layout, e.g. hidden tab)
+  if (grew && container.offsetHeight > 0) scheduleTimelineUpdate();
+}
+
+// The month under the headers becomes the current month
+function updateTimelineMonth() {
+  const top = timelineTop() + 1;
+  const item = timelineMonths.find(m => {
+    const r = m.el.getBoundingClientRect();
+    return r.top <= top && r.bottom > top;
+  });
+  if (!item || (item.year === currentYear && item.month === currentMonth)) return;
+  currentYear = item.year;
+  currentMonth = item.month;
+  updateMonthLabel();
+  updateRoute();
+}
+
+// Scroll the timeline to a month (and optionally a day in it)
+function scrollTimelineTo(year, month, dk) {
+  const key = monthKey(year, month);
+  const container = document.getElementById('rows-container');
+  let item = timelineMonths.find(m => m.key === key);
+  if (!item) {
+    // too far away to grow towards it: start over around the target
+    timelineMonths = [];
+    currentYear = year;
+    currentMonth = month;
+    buildTimeline(container);
+    item = timelineMonths.find(m => m.key === key);
+  }
+  if (!item.rendered) {
+    materializeMonth(item);
+    reapplyQuery();
+  }
+  const row = dk && item.rows.querySelector(`.day-row[data-date-key="${dk}"]`);
+  if (row) row.scrollIntoView({ block: 'center' });
+  else window.scrollBy(0, item.el.getBoundingClientRect().top - timelineTop());
+  currentYear = year;
+  currentMonth = month;
+  updateMonthLabel();
+  scheduleTimelineUpdate();
+  return row;
+}
+
+window.addEventListener('scroll', scheduleTimelineUpdate, { passive: true });
+window.addEventListener('resize', scheduleTimelineUpdate);
+
+// ─── Year view ────────────────────────────────────────────────────────────────
+//
+// One calendar heatmap per visible pinned topic: a column per week, a square
+// per day, filled days shaded. Clicking a day opens it in the month grid.
+
+function buildYearView(container) {
+  const topics = shownTopics();
+  if (!topics.length) {
+    container.innerHTML = data.pinnedTopics.some(t => !t.archived)
+      ? `<p class="year-empty">No column is active in ${currentYear}.</p>`
+      : '<p class="year-empty">No pinned columns yet — add one with + to see its year.</p>';
+    return;
+  }
+  const first = new Date(currentYear, 0, 1);
+  const keys = dateKeysBetween(dateToKey(first), dateKey(currentYear, 11, 31));
+  const lead = (first.getDay() + 6) % 7;  // empty squares before Jan 1 (weeks start Monday)
+  const todayKey = dateToKey(new Date());
+
+  topics.forEach(topic => {
+    const section = document.createElement('section');
+    section.className = 'year-topic';
+    section.dataset.topicId = topic.id;
+
+    const filled = keys.filter(dk => !isEmptyValue(data.entries[dk] && data.entries[dk].pinned[topic.id])).length;
+    const head = document.createElement('div');
+    head.className = 'year-topic-head';
+    head.innerHTML = `<span class="year-topic-name">${escHtml(topic.name)}</span>
+      <span class="year-topic-count">${filled} day${filled === 1 ? '' : 's'}</span>`;
+    section.appendChild(head);
+
+    const grid = document.createElement('div');
+    grid.className = 'year-grid';
+    for (let i = 0; i < lead; i++) grid.appendChild(document.createElement('span'));
+    keys.forEach(dk => {
+      const value = data.entries[dk] && data.entries[dk].pinned[topic.id];
+      const text = formatCellValue(topic, value);
+      const day = document.createElement('button');
+      day.className = 'year-day' + (text ? ' filled' : '') + (dk === todayKey ? ' today' : '');
+      day.dataset.dateKey = dk;
+      day.title = text ? `${dk}: ${snippet(text, 60)}` : dk;
+      day.addEventListener('click', () => jumpToDate(dk));
+      grid.appendChild(day);
+    });
+    section.appendChild(grid);
+    container.appendChild(section);
+  });
+}
+
+// ─── Pinned cell ──────────────────────────────────────────────────────────────
+
+// Stand-in for a column outside its active months: read-only, not on the cursor path
+function makeInactiveCell(dk, topic, value) {
+  const cell = document.createElement('div');
+  cell.className = 'topic-cell inactive-cell';
+  cell.dataset.topicId = topic.id;
+  cell.dataset.dateKey = dk;
+  cell.title = `"${topic.name}" is active ${describeTopicSpan(topic)}`;
+  const text = formatCellValue(topic, value);
   const preview = document.createElement('div');
-  preview.className = fc.text ? 'cell-preview' : 'cell-preview empty-hint';
-  if (fc.text) preview.innerHTML = renderMd(fc.text);
+  preview.className = 'cell-preview';
+  if (text && topicType(topic) === 'markdown') preview.innerHTML = renderMd(text);
+  else preview.textContent = text;
+  cell.appendChild(preview);
+  return cell;
+}
+
+function makePinnedCell(dk, topic, value) {
+  if (topicType(topic) !== 'markdown') return makeTypedCell(dk, topic, value);
+  const text = value || '';
+  const cell = document.createElement('div');
+  cell.className = 'topic-cell';
+  cell.tabIndex = -1;
+  cell.draggable = true;
+  cell.dataset.topicId = topic.id;
+  cell.dataset.dateKey = dk;
+  if (expandedColumns.has(topic.id)) cell.classList.add('col-expanded');
+
+  // Preview: rendered markdown
+  const preview = document.createElement('div');
+  preview.className = text ? 'cell-preview' : 'cell-preview empty-hint';
+  if (text) preview.innerHTML = renderMd(text);
   else preview.textContent = '…';
 
+  // Editor: seamless textarea, no buttons
   const editorWrap = document.createElement('div');
   editorWrap.className = 'cell-editor-wrap';
   const textarea = document.createElement('textarea');
   textarea.className = 'cell-textarea';
-  textarea.value = fc.text || '';
-  textarea.placeholder = `Notes for ${fc.name}…`;
+  textarea.value = text;
+  textarea.placeholder = `Notes for ${topic.name}…`;
   editorWrap.appendChild(textarea);
 
-  cell.appendChild(header);
+  const historyBtn = document.createElement('button');
+  historyBtn.className = 'cell-history-btn';
+  historyBtn.title = 'History';
+  historyBtn.textContent = '🕘';
+  historyBtn.hidden = !cellRevisions(dk, topic.id).length;
+  historyBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    openHistoryModal(dk, topic.id);
+  });
+
   cell.appendChild(preview);
   cell.appendChild(editorWrap);
+  cell.appendChild(historyBtn);
+  cell.appendChild(makeBacklinksBadge(dk, topic.name));
 
-  // open/close
-  function openCell() {
+  let prefill = null; // the topic's template while it sits unedited in an empty cell
+
+  function openCell(e) {
     if (cell.classList.contains('active')) return;
     closeActiveCell();
     cell.classList.add('active');
-    activeCell = { el: cell };
+    cell.draggable = false; // let the mouse select text
+    const stored = (data.entries[dk] || EMPTY_ENTRY).pinned[topic.id] || '';
+    prefill = !stored && topic.template ? topic.template : null;
+    if (prefill) textarea.value = prefill;
+    activeCell = { type: 'pinned', dateKey: dk, topicId: topic.id, name: topic.name,
+                   base: stored, opened: stored, openedAt: Date.now(), session: uid(), el: cell };
+    setSaveState(cell, 'saved');
+    updateRoute();
     textarea.focus();
+    // place cursor at click position if possible
+    if (e) {
+      try {
+        const range = document.caretRangeFromPoint
+          ? document.caretRangeFromPoint(e.clientX, e.clientY) : null;
+        if (range) {
+          const pos = range.startOffset;
+          textarea.setSelectionRange(pos, pos);
+        }
+      } catch(_) {}
+    }
     textarea.setSelectionRange(textarea.value.length, textarea.value.length);
   }
 
+  // Write the text to the journal and keep the cell open (see Autosave)
+  function commit(revertLabel) {
+    const val = textarea.value === prefill ? '' : textarea.value;
+    const stored = (data.entries[dk] || EMPTY_ENTRY).pinned[topic.id] || '';
+    if (val !== stored) {
+      const session = editSession(cell);
+      mutate(revertLabel || `Edit "${topic.name}" on ${dk}`, [dk], () => {
+        getEntry(dk).pinned[topic.id] = val;
+        recordRevision(dk, topic.id, stored, val, revertLabel ? Infinity : session.openedAt);
+      }, revertLabel ? { toast: true } : { coalesce: session.session });
+    }
+    textCommitted(cell, dk, topic.id, val);
+  }
+
   function saveCell() {
-    const entry = getEntry(dk);
-    const freeItem = (entry.free || []).find(f => f.id === fc.id);
-    if (freeItem) { freeItem.text = textarea.value; fc.text = freeItem.text; }
-    saveData();
-    if (fc.text) {
-      preview.innerHTML = renderMd(fc.text);
+    commit();
+    if (textarea.value === prefill) textarea.value = '';
+    const val = textarea.value;
+    historyBtn.hidden = !cellRevisions(dk, topic.id).length;
+    if (val) {
+      preview.innerHTML = renderMd(val);
       preview.className = 'cell-preview';
     } else {
       preview.textContent = '…';
       preview.className = 'cell-preview empty-hint';
     }
-    cell.classList.remove('active');
-    activeCell = null;
+    deactivateCell(cell);
   }
 
-  preview.addEventListener('click', openCell);
+  cell.addEventListener('click', openCell);
+  enableLinkSuggest(textarea);
+  enableAutosave(cell, textarea, dk, topic.id, topic.name, commit);
   textarea.addEventListener('keydown', e => {
-    if (e.key === 'Escape') {
-      textarea.value = fc.text || '';
-      cell.classList.remove('active');
-      activeCell = null;
-    }
-    if (e.key === 's' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); saveCell(); }
+    if (e.key === 'Escape') revertActiveCell();
+    if (e.key === 's' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); saveCell(); cell.focus(); }
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); saveAndMoveDown(cell); }
   });
+  // expose saveCell so closeActiveCell can call it
   cell._saveCell = saveCell;
+  cell._commit = commit;
 
-  // Pin button
-  pinBtn.addEventListener('click', async e => {
-    e.stopPropagation();
-    // Check name collision with existing pinned topics
-    const existingNames = data.pinnedTopics.map(t => t.name.toLowerCase());
-    let name = fc.name;
-    if (existingNames.includes(name.toLowerCase())) {
-      const newName = await openRenameModal(name, existingNames);
-      if (!newName) return;
-      name = newName;
-    }
-    // Create pinned topic
-    const newTopic = { id: uid(), name };
-    data.pinnedTopics.push(newTopic);
-    // Collect ALL free cells across ALL days with the same name into this column
-    for (const entryKey in data.entries) {
-      const entry = data.entries[entryKey];
-      const match = (entry.free || []).find(f => f.name.toLowerCase() === newTopic.name.toLowerCase());
-      if (match) {
-        if (!entry.pinned) entry.pinned = {};
-        entry.pinned[newTopic.id] = match.text || '';
-        entry.free = entry.free.filter(f => f.id !== match.id);
-      }
-    }
-    saveData();
-    render();
-  });
+  return cell;
+}
+
+// ─── Typed columns ────────────────────────────────────────────────────────────
+//
+// A pinned topic may carry a `type` (markdown when absent) and the stored cell
+// value follows it:
+//   checkbox  true                     number  7.5 (+ topic.unit)
+//   rating    1..topic.max (def. 5)    duration minutes, e.g. 90
+//   select    one of topic.options     markdown text
+// Empty cells have no value at all.
+
+const CELL_TYPES = {
+  markdown: 'Text (markdown)',
+  checkbox: 'Checkbox',
+  number:   'Number',
+  rating:   'Rating',
+  duration: 'Duration',
+  select:   'Option list'
+};
+
+function topicType(topic) {
+  return topic.type || 'markdown';
+}
+
+function isEmptyValue(value) {
+  return value === '' || value == null || value === false;
+}
+
+// Display/search text for a stored value
+function formatCellValue(topic, value) {
+  if (isEmptyValue(value)) return '';
+  switch (topicType(topic)) {
+    case 'checkbox': return '✓';
+    case 'number':   return topic.unit ? `${value} ${topic.unit}` : String(value);
+    case 'rating':   return '★'.repeat(value) + '☆'.repeat(Math.max(0, (topic.max || 5) - value));
+    case 'duration': return formatDuration(value);
+    default:         return String(value);
+  }
+}
+
+function formatDuration(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  if (!h) return `${m}m`;
+  return m ? `${h}h ${m}m` : `${h}h`;
+}
+
+// "1h30m", "1h 30m", "1:30", "90m", "90 min", "1.5h"; a bare number is minutes
+function parseDuration(text) {
+  const s = String(text).trim().toLowerCase();
+  let m = s.match(/^(\d+):([0-5]\d)$/);
+  if (m) return Number(m[1]) * 60 + Number(m[2]);
+  m = s.match(/^(?:(\d+(?:[.,]\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?$/);
+  if (m && (m[1] || m[2])) return Math.round(Number((m[1] || '0').replace(',', '.')) * 60 + Number(m[2] || 0));
+  m = s.match(/^\d+$/);
+  return m ? Number(s) : undefined;
+}
+
+// Convert text (or a value of another type, formatted first) into a value of
+// `topic`'s type. Returns null for empty text and undefined when it can't;
+// written "no" / "0" count as can't, so callers keep them rather than drop them.
+function parseCellValue(topic, text) {
+  const s = String(text ?? '').trim();
+  if (!s) return null;
+  switch (topicType(topic)) {
+    case 'checkbox':
+      return /^(x|✓|✔|☑|yes|y|true|done|1)$/i.test(s) ? true : undefined;
+    case 'number': {
+      const m = s.match(/^(-?\d+(?:[.,]\d+)?)\s*([^\s\d]*)$/);
+      return m ? Number(m[1].replace(',', '.')) : undefined;
+    }
+    case 'rating': {
+      const max = topic.max || 5;
+      let n;
+      if (/^[★☆]+$/.test(s)) n = (s.match(/★/g) || []).length;
+      else if (/^\d+(\s*\/\s*\d+)?$/.test(s)) n = parseInt(s, 10);
+      return n >= 1 && n <= max ? n : undefined;
+    }
+    case 'duration':
+      return parseDuration(s);
+    case 'select':
+      return (topic.options || []).find(o => o.toLowerCase() === s.toLowerCase());
+    default:
+      return s;
+  }
+}
+
+function setTypedValue(dk, topic, value) {
+  mutate(`Set "${topic.name}" on ${dk}`, [dk], () => {
+    const pinned = getEntry(dk).pinned;
+    if (isEmptyValue(value)) delete pinned[topic.id];
+    else pinned[topic.id] = value;
+  });
+}
+
+// Compact editor for a non-markdown pinned cell; every change is saved at once
+function makeTypedCell(dk, topic, value) {
+  const type = topicType(topic);
+  const cell = document.createElement('div');
+  cell.className = `topic-cell typed-cell type-${type}`;
+  cell.tabIndex = -1;
+  cell.draggable = true;
+  cell.dataset.topicId = topic.id;
+  cell.dataset.dateKey = dk;
+  cell.dataset.searchText = formatCellValue(topic, value);
+  if (expandedColumns.has(topic.id)) cell.classList.add('col-expanded');
+
+  const redraw = () => {
+    const hadFocus = cell.contains(document.activeElement);
+    const fresh = makeTypedCell(dk, topic, (data.entries[dk] || EMPTY_ENTRY).pinned[topic.id]);
+    cell.replaceWith(fresh);
+    reapplyQuery();
+    if (hadFocus) fresh.focus();
+  };
+
+  if (type === 'checkbox') {
+    const btn = document.createElement('button');
+    btn.className = 'typed-check';
+    btn.textContent = value ? '☑' : '☐';
+    btn.title = value ? 'Done — click to clear' : 'Click to mark done';
+    btn.setAttribute('aria-pressed', value ? 'true' : 'false');
+    btn.addEventListener('click', () => { setTypedValue(dk, topic, !value); redraw(); });
+    cell.appendChild(btn);
+  } else if (type === 'rating') {
+    const max = topic.max || 5;
+    for (let n = 1; n <= max; n++) {
+      const star = document.createElement('button');
+      star.className = 'typed-star' + (value >= n ? ' on' : '');
+      star.textContent = value >= n ? '★' : '☆';
+      star.title = n === value ? 'Clear rating' : `${n} of ${max}`;
+      star.addEventListener('click', () => { setTypedValue(dk, topic, n === value ? null : n); redraw(); });
+      cell.appendChild(star);
+    }
+  } else if (type === 'select') {
+    const select = document.createElement('select');
+    select.className = 'typed-select';
+    ['', ...(topic.options || [])].forEach(opt => {
+      const o = document.createElement('option');
+      o.value = opt;
+      o.textContent = opt || '—';
+      select.appendChild(o);
+    });
+    select.value = value || '';
+    select.addEventListener('change', () => { setTypedValue(dk, topic, select.value || null); redraw(); });
+    cell.appendChild(select);
+  } else {
+    // number / duration: text-like input, parsed on change
+    const input = document.createElement('input');
+    input.className = 'typed-input';
+    input.type = type === 'number' ? 'number' : 'text';
+    if (type === 'number') input.step = 'any';
+    input.value = isEmptyValue(value) ? '' : (type === 'duration' ? formatDuration(value) : value);
+    input.placeholder = type === 'duration' ? '1h 30m' : '…';
+    // let the mouse select text
+    input.addEventListener('focus', () => { cell.draggable = false; });
+    input.addEventListener('blur', () => { cell.draggable = true; });
+    input.addEventListener('change', () => {
+      const parsed = parseCellValue(topic, input.value);
+      if (parsed === undefined) {
+        input.classList.add('invalid');
+        return;
+      }
+      setTypedValue(dk, topic, parsed);
+      redraw();
+    });
+    input.addEventListener('keydown', e => {
+      if (e.key === 'Enter') input.blur();
+      if (e.key === 'Escape') { input.value = ''; redraw(); }
+    });
+    cell.appendChild(input);
+    if (type === 'number' && topic.unit) {
+      const unit = document.createElement('span');
+      unit.className = 'typed-unit';
+      unit.textContent = topic.unit;
+      cell.appendChild(unit);
+    }
+  }
+  cell.appendChild(makeBacklinksBadge(dk, topic.name));
+  return cell;
+}
+
+// ─── Column type modal ────────────────────────────────────────────────────────
+
+let typeModalTopic = null;
+
+function openTypeModal(topic, focusId = 'type-select') {
+  typeModalTopic = topic;
+  document.getElementById('type-modal-title').textContent = `Settings for "${topic.name}"`;
+  document.getElementById('type-select').value = topicType(topic);
+  document.getElementById('type-unit').value = topic.unit || '';
+  document.getElementById('type-max').value = topic.max || 5;
+  document.getElementById('type-options').value = (topic.options || []).join('\n');
+  document.getElementById('type-template').value = topic.template || '';
+  document.getElementById('type-start').value = topic.start || '';
+  document.getElementById('type-end').value = topic.end || '';
+  renderTypePreview();
+  document.getElementById('type-modal').classList.remove('hidden');
+  document.getElementById('overlay').classList.remove('hidden');
+  document.getElementById('overlay').onclick = closeTypeModal;
+  document.getElementById(focusId).focus();
+}
+
+function closeTypeModal() {
+  typeModalTopic = null;
+  document.getElementById('type-modal').classList.add('hidden');
+  document.getElementById('overlay').classList.add('hidden');
+}
+
+// The topic as it would be with the modal's settings
+function typeModalTarget() {
+  const type = document.getElementById('type-select').value;
+  const target = { ...typeModalTopic };
+  delete target.type; delete target.unit; delete target.max; delete target.options; delete target.template;
+  delete target.start; delete target.end;
+  if (type !== 'markdown') target.type = type;
+  const start = document.getElementById('type-start').value;
+  const end = document.getElementById('type-end').value;
+  if (start) target.start = start;
+  if (end) target.end = end;
+  if (type === 'markdown') {
+    const template = document.getElementById('type-template').value;
+    if (template.trim()) target.template = template;
+  }
+  if (type === 'number') {
+    const unit = document.getElementById('type-unit').value.trim();
+    if (unit) target.unit = unit;
+  }
+  if (type === 'rating') target.max = Math.min(10, Math.max(2, Number(document.getElementById('type-max').value) || 5));
+  if (type === 'select') {
+    target.options = [...new Set(document.getElementById('type-options').value
+      .split('\n').map(o => o.trim()).filter(Boolean))];
+  }
+  return target;
+}
+
+// Convert every stored value of the column: { converted: {dk: value}, failed: {dk: text} }
+function planTypeConversion(topic, target) {
+  const converted = {};
+  const failed = {};
+  for (const dk in data.entries) {
+    const value = data.entries[dk].pinned && data.entries[dk].pinned[topic.id];
+    if (isEmptyValue(value)) continue;
+    const text = formatCellValue(topic, value);
+    const next = parseCellValue(target, text);
+    if (next === undefined) failed[dk] = text;
+    else converted[dk] = next;
+  }
+  return { converted, failed };
+}
+
+function renderTypePreview() {
+  const type = document.getElementById('type-select').value;
+  document.getElementById('type-unit-row').classList.toggle('hidden', type !== 'number');
+  document.getElementById('type-max-row').classList.toggle('hidden', type !== 'rating');
+  document.getElementById('type-options-row').classList.toggle('hidden', type !== 'select');
+  document.getElementById('type-template-row').classList.toggle('hidden', type !== 'markdown');
+
+  // Offer the column's distinct short values as a starting option list
+  const optionsEl = document.getElementById('type-options');
+  if (type === 'select' && !optionsEl.value.trim()) {
+    const distinct = new Set();
+    for (const dk in data.entries) {
+      const v = data.entries[dk].pinned && data.entries[dk].pinned[typeModalTopic.id];
+      const text = formatCellValue(typeModalTopic, v).trim();
+      if (text && text.length <= 40 && !text.includes('\n')) distinct.add(text);
+    }
+    if (distinct.size && distinct.size <= 20) optionsEl.value = [...distinct].join('\n');
+  }
+
+  const { converted, failed } = planTypeConversion(typeModalTopic, typeModalTarget());
+  const nConv = Object.keys(converted).length;
+  const nFail = Object.keys(failed).length;
+  const preview = document.getElementById('type-preview');
+  if (type === topicType(typeModalTopic) || nConv + nFail === 0) {
+    preview.textContent = nConv + nFail === 0 ? 'The column has no values yet.' : '';
+  } else {
+    preview.textContent = `${nConv} value${nConv === 1 ? '' : 's'} will be converted.` +
+      (nFail ? ` ${nFail} can't be (e.g. "${snippet(Object.values(failed)[0], 30)}") and will move to ` +
+        `free cells named "${typeModalTopic.name}" on their days.` : '');
+  }
+  renderTypeRangeNote();
+}
+
+function renderTypeRangeNote() {
+  const target = typeModalTarget();
+  const note = document.getElementById('type-range-note');
+  if (target.start && target.end && target.start > target.end) {
+    note.textContent = 'The first month comes after the last one.';
+    return;
+  }
+  const outside = Object.keys(data.entries).filter(dk =>
+    !isEmptyValue(data.entries[dk].pinned && data.entries[dk].pinned[target.id]) &&
+    !topicActiveIn(target, dk.slice(0, 7), dk.slice(0, 7))).sort();
+  note.textContent = outside.length
+    ? `${outside.length} day${outside.length === 1 ? '' : 's'} with values (${outside[0]}${outside.length > 1 ? ' …' : ''}) ` +
+      'fall outside these months; the grid only shows them when searching with hidden columns included.'
+    : '';
+}
+
+function applyTypeModal() {
+  const topic = typeModalTopic;
+  const target = typeModalTarget();
+  if (target.type === 'select' && !target.options.length) {
+    document.getElementById('type-preview').textContent = 'Add at least one option.';
+    return;
+  }
+  if (target.start && target.end && target.start > target.end) {
+    document.getElementById('type-start').focus();
+    return;
+  }
+  const { converted, failed } = planTypeConversion(topic, target);
+  closeTypeModal();
+  const label = topicType(target) === topicType(topic)
+    ? `Column "${topic.name}" settings changed`
+    : `Column "${topic.name}" is now ${CELL_TYPES[topicType(target)].toLowerCase()}`;
+  mutate(label, null, () => {
+    const i = data.pinnedTopics.findIndex(t => t.id === topic.id);
+    data.pinnedTopics[i] = target;
+    for (const dk in converted) {
+      if (converted[dk] === null) delete data.entries[dk].pinned[topic.id];
+      else data.entries[dk].pinned[topic.id] = converted[dk];
+    }
+    for (const dk in failed) {
+      delete data.entries[dk].pinned[topic.id];
+      data.entries[dk].free.push({ id: uid(), name: topic.name, text: failed[dk] });
+    }
+  }, { toast: true });
+  render();
+  if (archivePanelOpen) renderArchivePanel();
+}
+
+document.getElementById('type-select').addEventListener('change', renderTypePreview);
+['type-unit', 'type-max', 'type-options'].forEach(id => {
+  document.getElementById(id).addEventListener('input', renderTypePreview);
+});
+['type-start', 'type-end'].forEach(id => {
+  document.getElementById(id).addEventListener('change', renderTypeRangeNote);
+});
+document.getElementById('type-cancel').addEventListener('click', closeTypeModal);
+document.getElementById('type-save').addEventListener('click', applyTypeModal);
+document.getElementById('type-modal').addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeTypeModal();
+});
+
+// ─── Column stats ─────────────────────────────────────────────────────────────
+//
+// Everything here is computed from data.entries for one topic and a date range.
+// Numbers come from typed values, or from the leading number of a text cell
+// ("7.5", "72 kg"); charts are plain inline SVG.
+
+let statsTopic = null;
+
+function statsRange(preset, topic) {
+  const today = new Date();
+  const todayKey = dateToKey(today);
+  if (preset === 'month') {
+    return [dateKey(currentYear, currentMonth, 1), dateKey(currentYear, currentMonth, daysInMonth(currentYear, currentMonth))];
+  }
+  if (preset === 'year') return [dateKey(today.getFullYear(), 0, 1), todayKey];
+  if (preset === 'all') {
+    const keys = Object.keys(data.entries)
+      .filter(dk => !isEmptyValue(data.entries[dk].pinned && data.entries[dk].pinned[topic.id]))
+      .sort();
+    return keys.length ? [keys[0], keys[keys.length - 1] > todayKey ? keys[keys.length - 1] : todayKey] : [todayKey, todayKey];
+  }
+  const start = new Date(today);
+  start.setDate(start.getDate() - (Number(preset) - 1));
+  return [dateToKey(start), todayKey];
+}
+
+// The number a cell contributes to sum/avg/chart, or null
+function numericValue(topic, value) {
+  if (isEmptyValue(value)) return null;
+  const type = topicType(topic);
+  if (type === 'number' || type === 'rating' || type === 'duration') return value;
+  if (type !== 'markdown') return null;
+  const m = String(value).trim().match(/^[-+]?\d+(?:[.,]\d+)?/);
+  return m ? Number(m[0].replace(',', '.')) : null;
+}
+
+function countWords(text) {
+  const words = String(text).replace(/[#*_`>\[\]()~-]/g, ' ').match(/\S+/g);
+  return words ? words.length : 0;
+}
+
+function computeStats(topic, from, to) {
+  const todayKey = dateToKey(new Date());
+  const days = dateKeysBetween(from, to).map(dk => {
+    const value = data.entries[dk] && data.entries[dk].pinned[topic.id];
+    return { dk, filled: !isEmptyValue(value), value, num: numericValue(topic, value) };
+  });
+
+  let longest = 0, run = 0;
+  days.forEach(d => {
+    run = d.filled ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+  // Current streak: counted back from today (or the range's end), an empty
+  // today doesn't break it yet
+  let current = 0;
+  const past = days.filter(d => d.dk <= todayKey);
+  let i = past.length - 1;
+  if (i >= 0 && !past[i].filled && past[i].dk === todayKey) i--;
+  for (; i >= 0 && past[i].filled; i--) current++;
+
+  const filled = days.filter(d => d.filled);
+  const nums = days.filter(d => d.num !== null).map(d => d.num);
+  const stats = {
+    days,
+    total: days.length,
+    filled: filled.length,
+    current,
+    longest,
+    numbers: nums.length ? {
+      count: nums.length,
+      sum: nums.reduce((a, b) => a + b, 0),
+      min: Math.min(...nums),
+      max: Math.max(...nums)
+    } : null,
+    words: null
+  };
+  if (stats.numbers) stats.numbers.avg = stats.numbers.sum / nums.length;
+  if (topicType(topic) === 'markdown') {
+    const total = filled.reduce((n, d) => n + countWords(d.value), 0);
+    stats.words = { total, avg: filled.length ? total / filled.length : 0 };
+  }
+  return stats;
+}
+
+function formatStatNumber(topic, n) {
+  if (topicType(topic) === 'duration') return formatDuration(n);
+  const s = Number.isInteger(n) ? String(n) : n.toFixed(2).replace(/0+$/, '').replace(/\.$/, '');
+  return topic.unit ? `${s} ${topic.unit}` : s;
+}
+
+// Inline SVG chart of the range: numbers as line/bars, or presence bars when
+// the column has no numbers
+function renderStatsChart(topic, stats, kind) {
+  const W = 520, H = 160, PAD_L = 36, PAD_B = 18, PAD_T = 8;
+  const plotW = W - PAD_L - 4, plotH = H - PAD_B - PAD_T;
+  const n = stats.days.length;
+  const x = i => PAD_L + (n === 1 ? plotW / 2 : (i / (n - 1)) * plotW);
+  const slot = plotW / Math.max(n, 1);
+
+  const useNumbers = !!stats.numbers;
+  const lo = useNumbers ? Math.min(0, stats.numbers.min) : 0;
+  const hi = useNumbers ? Math.max(stats.numbers.max, lo + 1) : 1;
+  const y = v => PAD_T + plotH - ((v - lo) / (hi - lo)) * plotH;
+
+  const parts = [];
+  // axis + labels
+  parts.push(`<line class="chart-axis" x1="${PAD_L}" y1="${y(lo)}" x2="${W - 4}" y2="${y(lo)}"/>`);
+  if (useNumbers) {
+    parts.push(`<text class="chart-label" x="${PAD_L - 4}" y="${y(hi) + 4}" text-anchor="end">${escHtml(formatStatNumber({ ...topic, unit: '' }, hi))}</text>`);
+    parts.push(`<text class="chart-label" x="${PAD_L - 4}" y="${y(lo)}" text-anchor="end">${escHtml(formatStatNumber({ ...topic, unit: '' }, lo))}</text>`);
+  }
+  if (n) {
+    parts.push(`<text class="chart-label" x="${PAD_L}" y="${H - 4}">${stats.days[0].dk}</text>`);
+    parts.push(`<text class="chart-label" x="${W - 4}" y="${H - 4}" text-anchor="end">${stats.days[n - 1].dk}</text>`);
+  }
+
+  if (useNumbers && kind === 'line') {
+    // break the line over days without a number
+    let path = '';
+    let pen = false;
+    stats.days.forEach((d, i) => {
+      if (d.num === null) { pen = false; return; }
+      path += `${pen ? 'L' : 'M'}${x(i).toFixed(1)},${y(d.num).toFixed(1)}`;
+      pen = true;
+    });
+    parts.push(`<path class="chart-line" d="${path}"/>`);
+    stats.days.forEach((d, i) => {
+      if (d.num === null) return;
+      parts.push(`<circle class="chart-dot" cx="${x(i).toFixed(1)}" cy="${y(d.num).toFixed(1)}" r="2"><title>${d.dk}: ${escHtml(formatStatNumber(topic, d.num))}</title></circle>`);
+    });
+  } else {
+    stats.days.forEach((d, i) => {
+      const v = useNumbers ? d.num : (d.filled ? 1 : null);
+      if (v === null) return;
+      const top = Math.min(y(v), y(lo));
+      const label = useNumbers ? formatStatNumber(topic, v) : 'filled';
+      parts.push(`<rect class="chart-bar" x="${(PAD_L + i * slot + slot * 0.1).toFixed(1)}" y="${top.toFixed(1)}" ` +
+        `width="${Math.max(slot * 0.8, 0.5).toFixed(1)}" height="${Math.abs(y(v) - y(lo)).toFixed(1)}">` +
+        `<title>${d.dk}: ${escHtml(label)}</title></rect>`);
+    });
+  }
+  return `<svg class="stats-chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="Chart of ${escHtml(topic.name)}">${parts.join('')}</svg>`;
+}
+
+function openStatsModal(topic) {
+  statsTopic = topic;
+  document.getElementById('stats-modal-title').textContent = `Stats — ${topic.name}`;
+  const [from, to] = statsRange('month', topic);
+  document.getElementById('stats-range').value = 'month';
+  document.getElementById('stats-from').value = from;
+  document.getElementById('stats-to').value = to;
+  document.getElementById('stats-chart-kind').value = topicType(topic) === 'checkbox' ? 'bar' : 'line';
+  renderStats();
+  document.getElementById('stats-modal').classList.remove('hidden');
+  document.getElementById('overlay').classList.remove('hidden');
+  document.getElementById('overlay').onclick = closeStatsModal;
+}
+
+function closeStatsModal() {
+  statsTopic = null;
+  document.getElementById('stats-modal').classList.add('hidden');
+  document.getElementById('overlay').classList.add('hidden');
+}
+
+function renderStats() {
+  const topic = statsTopic;
+  const preset = document.getElementById('stats-range').value;
+  const fromEl = document.getElementById('stats-from');
+  const toEl = document.getElementById('stats-to');
+  if (preset !== 'custom') [fromEl.value, toEl.value] = statsRange(preset, topic);
+  fromEl.disabled = toEl.disabled = preset !== 'custom';
+  // an open or far-off end stops at the journal's first / last entry (or
+  // today), so a stray year doesn't walk thousands of empty days
+  const todayKey = dateToKey(new Date());
+  const keys = Object.keys(data.entries).sort();
+  const first = keys.length && keys[0] < todayKey ? keys[0] : todayKey;
+  const last = keys.length && keys[keys.length - 1] > todayKey ? keys[keys.length - 1] : todayKey;
+  let from = fromEl.value || first, to = toEl.value || last;
+  if (from > to) [from, to] = [to, from];
+  if (from < first) from = first;
+  if (to > last) to = last;
+  if (from > to) from = to;
+
+  const stats = computeStats(topic, from, to);
+  const pct = stats.total ? Math.round((stats.filled / stats.total) * 100) : 0;
+  const rows = [
+    ['Filled', `${stats.filled} / ${stats.total} days (${pct}%)`],
+    ['Current streak', `${stats.current} day${stats.current === 1 ? '' : 's'}`],
+    ['Longest streak', `${stats.longest} day${stats.longest === 1 ? '' : 's'}`]
+  ];
+  if (stats.numbers) {
+    const f = v => formatStatNumber(topic, v);
+    rows.push(
+      ['Sum', f(stats.numbers.sum)],
+      ['Average', f(stats.numbers.avg)],
+      ['Min / max', `${f(stats.numbers.min)} / ${f(stats.numbers.max)}`]
+    );
+    if (stats.numbers.count < stats.filled) rows.push(['With a number', `${stats.numbers.count} days`]);
+  }
+  if (stats.words) {
+    rows.push(['Words', `${stats.words.total} (${Math.round(stats.words.avg)} per filled day)`]);
+  }
+  document.getElementById('stats-summary').innerHTML = rows
+    .map(([k, v]) => `<div class="stats-key">${k}</div><div class="stats-val">${escHtml(v)}</div>`).join('');
+  document.getElementById('stats-chart').innerHTML =
+    renderStatsChart(topic, stats, document.getElementById('stats-chart-kind').value);
+}
+
+['stats-range', 'stats-from', 'stats-to', 'stats-chart-kind'].forEach(id => {
+  document.getElementById(id).addEventListener('change', renderStats);
+});
+document.getElementById('stats-close').addEventListener('click', closeStatsModal);
+document.getElementById('stats-modal').addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeStatsModal();
+});
+
+// ─── Free cell ────────────────────────────────────────────────────────────────
+
+// `rule` is the recurrence the cell belongs to, if any; until its text is
+// saved such a cell exists only on screen
+function makeFreeCell(dk, fc, rule = null) {
+  const pending = rule && !(data.entries[dk] || EMPTY_ENTRY).free.some(f => f.id === fc.id);
+  const cell = document.createElement('div');
+  cell.className = 'free-cell' + (rule ? ' recurring-cell' : '') + (pending ? ' recurring-pending' : '');
+  cell.tabIndex = -1;
+  cell.draggable = !pending;
+  cell.dataset.freeCellId = fc.id;
+  cell.dataset.dateKey = dk;
+
+  // header
+  const header = document.createElement('div');
+  header.className = 'free-cell-header';
+
+  const nameSpan = document.createElement('span');
+  nameSpan.className = 'free-cell-name';
+  nameSpan.textContent = fc.name;
+  nameSpan.title = rule ? `${fc.name} · ${describeRecurrence(rule)}` : fc.name;
+
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'free-cell-actions';
+
+  const pinBtn = document.createElement('button');
+  pinBtn.className = 'pin-btn';
+  pinBtn.title = 'Pin as global column';
+  pinBtn.textContent = '📌';
+
+  const renameBtn = document.createElement('button');
+  renameBtn.title = 'Rename';
+  renameBtn.textContent = '✎';
+
+  const historyBtn = document.createElement('button');
+  historyBtn.title = 'History';
+  historyBtn.textContent = '🕘';
+  historyBtn.hidden = !cellRevisions(dk, fc.id).length;
+
+  const repeatBtn = document.createElement('button');
+  repeatBtn.title = rule ? 'Edit repetition…' : 'Repeat on other days…';
+  repeatBtn.textContent = '↻';
+
+  const delBtn = document.createElement('button');
+  delBtn.title = pending ? 'Skip on this day' : 'Delete';
+  delBtn.textContent = '✕';
+  pinBtn.hidden = renameBtn.hidden = pending;
+
+  actionsDiv.appendChild(pinBtn);
+  actionsDiv.appendChild(historyBtn);
+  actionsDiv.appendChild(repeatBtn);
+  actionsDiv.appendChild(renameBtn);
+  actionsDiv.appendChild(delBtn);
+  header.appendChild(nameSpan);
+  header.appendChild(actionsDiv);
+
+  // preview / editor
+  const preview = document.createElement('div');
+  preview.className = fc.text ? 'cell-preview' : 'cell-preview empty-hint';
+  if (fc.text) preview.innerHTML = renderMd(fc.text);
+  else preview.textContent = '…';
+
+  const editorWrap = document.createElement('div');
+  editorWrap.className = 'cell-editor-wrap';
+  const textarea = document.createElement('textarea');
+  textarea.className = 'cell-textarea';
+  textarea.value = fc.text || '';
+  textarea.placeholder = `Notes for ${fc.name}…`;
+  editorWrap.appendChild(textarea);
+
+  cell.appendChild(header);
+  cell.appendChild(preview);
+  cell.appendChild(editorWrap);
+  if (!pending) cell.appendChild(makeBacklinksBadge(dk, fc.name));
+
+  let prefill = null; // the rule's template while it sits unedited in an empty cell
+
+  // open/close
+  function openCell() {
+    if (cell.classList.contains('active')) return;
+    closeActiveCell();
+    cell.classList.add('active');
+    cell.draggable = false; // let the mouse select text
+    prefill = !fc.text && rule && rule.template ? rule.template : null;
+    if (prefill) textarea.value = prefill;
+    activeCell = { type: 'free', dateKey: dk, freeCellId: fc.id, name: fc.name, base: fc.text || '',
+                   opened: fc.text || '', openedAt: Date.now(), session: uid(), el: cell };
+    setSaveState(cell, 'saved');
+    updateRoute();
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+  }
+
+  // Write the text to the journal and keep the cell open (see Autosave)
+  function commit(revertLabel) {
+    const val = textarea.value === prefill ? '' : textarea.value;
+    const stored = (data.entries[dk] || EMPTY_ENTRY).free.find(f => f.id === fc.id);
+    // a recurring cell is written once it has text
+    if (stored ? (stored.text || '') !== val : val || !rule) {
+      const session = editSession(cell);
+      mutate(revertLabel || `Edit "${fc.name}" on ${dk}`, [dk], () => {
+        const entry = getEntry(dk);
+        let freeItem = entry.free.find(f => f.id === fc.id);
+        if (!freeItem) {
+          // deleted in another tab while being edited: saving brings it back
+          freeItem = { id: fc.id, name: fc.name, text: '' };
+          entry.free.push(freeItem);
+        }
+        recordRevision(dk, fc.id, freeItem.text || '', val, revertLabel ? Infinity : session.openedAt);
+        freeItem.text = val;
+      }, revertLabel ? { toast: true } : { coalesce: session.session });
+    }
+    fc.text = val;
+    textCommitted(cell, dk, fc.id, val);
+  }
+
+  function saveCell() {
+    commit();
+    if (textarea.value === prefill) textarea.value = '';
+    historyBtn.hidden = !cellRevisions(dk, fc.id).length;
+    if (fc.text) {
+      preview.innerHTML = renderMd(fc.text);
+      preview.className = 'cell-preview';
+    } else {
+      preview.textContent = '…';
+      preview.className = 'cell-preview empty-hint';
+    }
+    deactivateCell(cell);
+  }
+
+  preview.addEventListener('click', openCell);
+  enableLinkSuggest(textarea);
+  enableAutosave(cell, textarea, dk, fc.id, fc.name, commit);
+  textarea.addEventListener('keydown', e => {
+    if (e.key === 'Escape') revertActiveCell();
+    if (e.key === 's' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); saveCell(); cell.focus(); }
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); saveAndMoveDown(cell); }
+  });
+  cell._saveCell = saveCell;
+  cell._commit = commit;
+
+  pinBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    pinFreeCell(fc);
+  });
+
+  historyBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    openHistoryModal(dk, fc.id);
+  });
+
+  renameBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    renameFreeCell(dk, fc);
+  });
+
+  repeatBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    openRecurringModal(rule || { name: fc.name, dk });
+  });
+
+  delBtn.addEventListener('click', e => {
+    e.stopPropagation();
+    if (rule && !(data.entries[dk] || EMPTY_ENTRY).free.some(f => f.id === fc.id)) skipRecurrence(rule, dk);
+    else deleteFreeCell(dk, fc);
+  });
+
+  return cell;
+}
+
+// ─── Free cell actions ────────────────────────────────────────────────────────
+
+async function pinFreeCell(fc) {
+  // Check name collision with existing pinned topics
+  const existingNames = data.pinnedTopics.map(t => t.name.toLowerCase());
+  let name = fc.name;
+  if (existingNames.includes(name.toLowerCase())) {
+    const newName = await openRenameModal(name, existingNames, {
+      onMerge: target => openMergeModal({ targetId: topicByName(target).id, names: [fc.name] })
+    });
+    if (!newName) return;
+    name = newName;
+  }
+  mutate(`"${fc.name}" pinned as a column`, null, () => {
+    const newTopic = { id: uid(), name };
+    data.pinnedTopics.push(newTopic);
+    // Collect ALL free cells across ALL days with the same name into this
+    // column; several on one day are joined
+    mergeIntoTopic(newTopic, [], [fc.name.toLowerCase()], () => 'concat');
+  }, { toast: true });
+  render();
+}
+
+async function renameFreeCell(dk, fc) {
+  const existingNames = [
+    ...data.pinnedTopics.map(t => t.name.toLowerCase()),
+    // other free cells on same day
+    ...(data.entries[dk] || EMPTY_ENTRY).free.filter(f => f.id !== fc.id).map(f => f.name.toLowerCase())
+  ];
+  const newName = await openRenameModal(fc.name, existingNames, {
+    onMerge: name => openMergeModal({ targetId: topicByName(name).id, names: [fc.name] }),
+    mergeNames: data.pinnedTopics.map(t => t.name.toLowerCase())
+  });
+  if (!newName || newName === fc.name) return;
+  mutate(`"${fc.name}" renamed to "${newName}"`, null, () => {
+    retargetLinks(fc.name, newName, [dk]);
+    const freeItem = (getEntry(dk).free || []).find(f => f.id === fc.id);
+    if (freeItem) freeItem.name = newName;
+  });
+  refreshRow(dk);
+  reapplyQuery();
+}
+
+// Moves the free cell to the trash; a recurring one is also skipped that day
+// so it does not reappear empty
+function deleteFreeCell(dk, fc) {
+  mutate(`"${fc.name}" on ${dk} deleted`, [dk], () => {
+    const entry = getEntry(dk);
+    const index = entry.free.findIndex(f => f.id === fc.id);
+    if (index < 0) return;
+    data.trash.freeCells.push({ id: uid(), dateKey: dk, cell: entry.free[index], index, deletedAt: Date.now() });
+    const rule = matchingRule(dk, entry.free[index].name);
+    if (rule) rule.skip = [...(rule.skip || []), dk];
+    entry.free.splice(index, 1);
+  }, { toast: true });
+  refreshRow(dk);
+  reapplyQuery();
+}
+
+// ─── Add free cell ────────────────────────────────────────────────────────────
+
+async function addFreeCellToRow(dk, freeArea, addBtn) {
+  const entry = data.entries[dk] || EMPTY_ENTRY;
+  // Existing names: pinned + free (and recurring) cells for this day
+  const existingNames = [
+    ...data.pinnedTopics.map(t => t.name.toLowerCase()),
+    ...(entry.free || []).map(f => f.name.toLowerCase()),
+    ...dueRecurrences(dk).map(r => r.name.toLowerCase())
+  ];
+  const name = await openRenameModal('', existingNames);
+  if (!name) return;
+  const fc = { id: uid(), name, text: '' };
+  mutate(`"${name}" added on ${dk}`, [dk], () => {
+    getEntry(dk).free.push(fc);
+  });
+  const cellEl = makeFreeCell(dk, fc);
+  freeArea.insertBefore(cellEl, addBtn);
+  return cellEl;
+}
+
+// ─── Recurring free cells ─────────────────────────────────────────────────────
+//
+// A rule in data.recurring makes a free cell with its name show up on every
+// matching day from `from` on, except the days in `skip`:
+//   weekly   weekdays: [0..6] (0 = Sunday)
+//   monthly  day: 1..31 (the last day in shorter months)
+//   days     every: N, counted from `from`
+// makeRow() draws a due cell that the day does not have yet (by name) as a
+// placeholder; it is written to the entry once it gets text.
+
+const RECURRENCE_KINDS = { weekly: 'Weekly', monthly: 'Monthly', days: 'Every N days' };
+const WEEKDAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+let recurringEditing = null; // id of the rule in the form, null for a new one
+
+function recurrenceMatches(rule, dk) {
+  if (dk < rule.from || (rule.skip || []).includes(dk)) return false;
+  const date = keyToDate(dk);
+  if (rule.kind === 'weekly') return (rule.weekdays || []).includes(date.getDay());
+  if (rule.kind === 'monthly') {
+    return date.getDate() === Math.min(rule.day, daysInMonth(date.getFullYear(), date.getMonth()));
+  }
+  return Math.round((date - keyToDate(rule.from)) / DAY_MS) % rule.every === 0;
+}
+
+function matchingRule(dk, name) {
+  return data.recurring.find(r => r.name.toLowerCase() === name.toLowerCase() && recurrenceMatches(r, dk)) || null;
+}
+
+// Rules due on `dk` whose cell the day does not have yet
+function dueRecurrences(dk) {
+  const entry = data.entries[dk];
+  const taken = new Set([
+    ...data.pinnedTopics.map(t => t.name.toLowerCase()),
+    ...((entry && entry.free) || []).map(f => f.name.toLowerCase())
+  ]);
+  return data.recurring.filter(r => !taken.has(r.name.toLowerCase()) && recurrenceMatches(r, dk));
+}
+
+// Stable per rule and day, so a redrawn row finds the open placeholder again
+function recurringCellId(rule, dk) {
+  return rule.id + dk.replace(/-/g, '');
+}
+
+function describeRecurrence(rule) {
+  if (rule.kind === 'weekly') {
+    // Monday first
+    const days = [1, 2, 3, 4, 5, 6, 0].filter(d => rule.weekdays.includes(d));
+    return days.length === 7 ? 'every day' : `every ${days.map(d => WEEKDAY_SHORT[d]).join(', ')}`;
+  }
+  if (rule.kind === 'monthly') return `monthly on day ${rule.day}`;
+  return rule.every === 1 ? `every day from ${rule.from}` : `every ${rule.every} days from ${rule.from}`;
+}
+
+function skipRecurrence(rule, dk) {
+  mutate(`"${rule.name}" skipped on ${dk}`, [], () => {
+    const r = data.recurring.find(r => r.id === rule.id);
+    if (r) r.skip = [...(r.skip || []), dk];
+  }, { toast: true });
+  refreshRow(dk);
+  reapplyQuery();
+}
+
+// `init` is a rule to edit, or { name, dk } to start a new one from a cell
+function openRecurringModal(init = {}) {
+  closeActiveCell();
+  fillRecurringForm(init.id ? init : null, init);
+  renderRecurringList();
+  document.getElementById('recurring-modal').classList.remove('hidden');
+  document.getElementById('overlay').classList.remove('hidden');
+  document.getElementById('overlay').onclick = closeRecurringModal;
+  document.getElementById('recurring-name').focus();
+}
+
+function closeRecurringModal() {
+  recurringEditing = null;
+  document.getElementById('recurring-modal').classList.add('hidden');
+  document.getElementById('overlay').classList.add('hidden');
+}
+
+function renderRecurringList() {
+  const list = document.getElementById('recurring-list');
+  list.innerHTML = '';
+  if (!data.recurring.length) {
+    list.innerHTML = '<p class="archive-empty">No recurring cells yet.</p>';
+    return;
+  }
+  data.recurring.forEach(rule => {
+    const el = document.createElement('div');
+    el.className = 'archive-item trash-item' + (rule.id === recurringEditing ? ' editing' : '');
+    const info = document.createElement('div');
+    info.className = 'trash-item-info';
+    const name = document.createElement('span');
+    name.className = 'archive-item-name';
+    name.textContent = `↻ ${rule.name}`;
+    const meta = document.createElement('span');
+    meta.className = 'trash-item-meta';
+    meta.textContent = describeRecurrence(rule) + (rule.template ? ' · template' : '');
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'archive-item-btn';
+    editBtn.title = 'Edit';
+    editBtn.textContent = '✎';
+    editBtn.addEventListener('click', () => {
+      fillRecurringForm(rule);
+      renderRecurringList();
+      document.getElementById('recurring-name').focus();
+    });
+    const delBtn = document.createElement('button');
+    delBtn.className = 'archive-item-btn';
+    delBtn.title = 'Stop repeating (written cells stay)';
+    delBtn.textContent = '✕';
+    delBtn.addEventListener('click', () => deleteRecurringRule(rule));
+
+    el.appendChild(info);
+    el.appendChild(editBtn);
+    el.appendChild(delBtn);
+    list.appendChild(el);
+  });
+}
+
+// Load `rule` into the form, or defaults for a new rule from `hint`
+function fillRecurringForm(rule, hint = {}) {
+  recurringEditing = rule ? rule.id : null;
+  const start = hint.dk || (shortcutRow() && shortcutRow().dataset.dateKey) || dateToKey(new Date());
+  const date = keyToDate(start);
+  document.getElementById('recurring-form-title').textContent = rule ? `Edit "${rule.name}"` : 'New recurring cell';
+  document.getElementById('recurring-name').value = rule ? rule.name : hint.name || '';
+  document.getElementById('recurring-kind').value = rule ? rule.kind : 'weekly';
+  const weekdays = rule && rule.kind === 'weekly' ? rule.weekdays : [date.getDay()];
+  document.querySelectorAll('#recurring-weekdays input').forEach(box => {
+    box.checked = weekdays.includes(Number(box.value));
+  });
+  document.getElementById('recurring-day').value = rule && rule.kind === 'monthly' ? rule.day : date.getDate();
+  document.getElementById('recurring-every').value = rule && rule.kind === 'days' ? rule.every : 7;
+  document.getElementById('recurring-from').value = rule ? rule.from : start;
+  document.getElementById('recurring-template').value = rule ? rule.template || '' : '';
+  document.getElementById('recurring-save').textContent = rule ? 'Save' : 'Add';
+  document.getElementById('recurring-new').classList.toggle('hidden', !rule);
+  document.getElementById('recurring-error').classList.add('hidden');
+  updateRecurringKind();
+}
+
+function updateRecurringKind() {
+  const kind = document.getElementById('recurring-kind').value;
+  document.getElementById('recurring-weekdays').classList.toggle('hidden', kind !== 'weekly');
+  document.getElementById('recurring-day-wrap').classList.toggle('hidden', kind !== 'monthly');
+  document.getElementById('recurring-every-wrap').classList.toggle('hidden', kind !== 'days');
+}
+
+// The form as a rule, or { error }
+function readRecurringForm() {
+  const name = document.getElementById('recurring-name').value.trim();
+  const kind = document.getElementById('recurring-kind').value;
+  const from = document.getElementById('recurring-from').value;
+  const template = document.getElementById('recurring-template').value;
+  if (!name) return { error: 'Give the cell a name.' };
+  if (data.pinnedTopics.some(t => t.name.toLowerCase() === name.toLowerCase())) {
+    return { error: `"${name}" is a column already.` };
+  }
+  if (data.recurring.some(r => r.id !== recurringEditing && r.name.toLowerCase() === name.toLowerCase())) {
+    return { error: `"${name}" already repeats.` };
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from)) return { error: 'Pick a start date.' };
+  const rule = { id: recurringEditing || uid(), name, kind, from };
+  if (kind === 'weekly') {
+    rule.weekdays = [...document.querySelectorAll('#recurring-weekdays input:checked')].map(box => Number(box.value));
+    if (!rule.weekdays.length) return { error: 'Pick at least one weekday.' };
+  } else if (kind === 'monthly') {
+    rule.day = Math.round(Number(document.getElementById('recurring-day').value));
+    if (!(rule.day >= 1 && rule.day <= 31)) return { error: 'The day of the month must be 1–31.' };
+  } else {
+    rule.every = Math.round(Number(document.getElementById('recurring-every').value));
+    if (!(rule.every >= 1 && rule.every <= 366)) return { error: 'Repeat every 1–366 days.' };
+  }
+  if (template.trim()) rule.template = template;
+  return rule;
+}
+
+function saveRecurringRule() {
+  const rule = readRecurringForm();
+  const errorEl = document.getElementById('recurring-error');
+  if (rule.error) {
+    errorEl.textContent = rule.error;
+    errorEl.classList.remove('hidden');
+    return;
+  }
+  const existing = data.recurring.find(r => r.id === rule.id);
+  mutate(existing ? `Recurring "${rule.name}" changed` : `"${rule.name}" now repeats ${describeRecurrence(rule)}`, [], () => {
+    const i = data.recurring.findIndex(r => r.id === rule.id);
+    if (i < 0) {
+      data.recurring.push(rule);
+      return;
+    }
+    // skipped days stay skipped while the schedule is the same
+    const old = data.recurring[i];
+    if (old.skip && describeRecurrence(old) === describeRecurrence(rule)) rule.skip = old.skip;
+    data.recurring[i] = rule;
+  }, { toast: true });
+  fillRecurringForm(null);
+  renderRecurringList();
+  render();
+}
+
+function deleteRecurringRule(rule) {
+  mutate(`"${rule.name}" no longer repeats`, [], () => {
+    data.recurring = data.recurring.filter(r => r.id !== rule.id);
+  }, { toast: true });
+  if (recurringEditing === rule.id) fillRecurringForm(null);
+  renderRecurringList();
+  render();
+}
+
+document.getElementById('recurring-kind').addEventListener('change', updateRecurringKind);
+document.getElementById('recurring-save').addEventListener('click', saveRecurringRule);
+document.getElementById('recurring-new').addEventListener('click', () => {
+  fillRecurringForm(null);
+  renderRecurringList();
+});
+document.getElementById('recurring-close').addEventListener('click', closeRecurringModal);
+document.getElementById('recurring-modal').addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeRecurringModal();
+  if (e.key === 'Enter' && e.target.tagName === 'INPUT') saveRecurringRule();
+});
+
+// ─── Add global topic (via top bar button) ────────────────────────────────────
+
+async function addGlobalTopic() {
+  const existingNames = data.pinnedTopics.map(t => t.name.toLowerCase());
+  const name = await openRenameModal('', existingNames);
+  if (!name) return;
+  mutate(`Column "${name}" added`, [], () => {
+    data.pinnedTopics.push({ id: uid(), name });
+  });
+  render();
+}
+
+// ─── Close active cell ────────────────────────────────────────────────────────
+
+function closeActiveCell() {
+  if (activeCell && activeCell.el) {
+    // save on blur (click outside)
+    if (typeof activeCell.el._saveCell === 'function') {
+      activeCell.el._saveCell();
+    } else {
+      deactivateCell(activeCell.el);
+    }
+  }
+}
+
+function deactivateCell(cell) {
+  cell.classList.remove('active', 'remote-conflict');
+  cell.draggable = !cell.classList.contains('recurring-pending');
+  activeCell = null;
+  dismissBanner('tab-conflict');
+  if (pendingRemoteRender) {
+    pendingRemoteRender = false;
+    render();
+  }
+  updateRoute();
+}
+
+// ─── Autosave & drafts ───────────────────────────────────────────────────────
+//
+// While a text cell is open, every keystroke writes a draft to localStorage
+// (synchronous, so it survives a crash) and a pause in typing commits the
+// text through mutate(). Commits of one editing session coalesce into a
+// single undo step and revision. A draft is dropped once the journal write
+// holding its text has finished; drafts left behind by a tab that is gone
+// are offered for recovery on the next start.
+
+// One localStorage key per draft, so a keystroke writes one small value:
+// "gridjournal-draft:<tab>:<dk>/<cellId>" → { text, name, at }
+const DRAFT_KEY_PREFIX = 'gridjournal-draft:';
+const AUTOSAVE_DELAY = 1000;
+const TAB_ID = uid();
+
+const SAVE_STATE_LABELS = { saved: '✓ Saved', saving: 'Saving…', unsaved: '● Unsaved', error: '⚠ Not saved' };
+
+function enableAutosave(cell, textarea, dk, id, name, commit) {
+  const state = document.createElement('span');
+  state.className = 'save-state';
+  textarea.parentNode.appendChild(state);
+  textarea.addEventListener('input', () => {
+    writeDraft(dk, id, name, textarea.value);
+    setSaveState(cell, 'unsaved');
+    clearTimeout(cell._autosaveTimer);
+    cell._autosaveTimer = setTimeout(() => commit(), AUTOSAVE_DELAY);
+  });
+}
+
+function setSaveState(cell, state) {
+  const el = cell.querySelector('.save-state');
+  if (!el) return;
+  el.dataset.state = state;
+  el.textContent = SAVE_STATE_LABELS[state];
+}
+
+// The open session of `cell`, or a stand-in that never coalesces
+function editSession(cell) {
+  return activeCell && activeCell.el === cell ? activeCell : { openedAt: Infinity, session: null };
+}
+
+// Called by a cell's commit() once its text went through mutate()
+function textCommitted(cell, dk, id, text) {
+  clearTimeout(cell._autosaveTimer);
+  if (activeCell && activeCell.el === cell) activeCell.base = text;
+  refreshBacklinkBadges();
+  setSaveState(cell, 'saving');
+  const written = savingSuspended ? Promise.resolve(false) : writeQueue;
+  written.then(ok => {
+    if (ok) clearDraft(dk, id, text);
+    const current = cell.querySelector('.cell-textarea').value;
+    setSaveState(cell, !ok ? 'error' : current === text ? 'saved' : 'unsaved');
+  });
+}
+
+// Escape: back to the text the cell was opened with. What was typed is
+// committed first, so undoing the revert brings it back.
+function revertActiveCell() {
+  const { el, opened, name, dateKey } = activeCell;
+  const textarea = el.querySelector('.cell-textarea');
+  el._commit();
+  if (textarea.value !== opened) {
+    textarea.value = opened;
+    el._commit(`"${name}" on ${dateKey} reverted`);
+  }
+  el._saveCell();
+  el.focus();
+}
+
+function draftKey(tab, dk, id) {
+  return `${DRAFT_KEY_PREFIX}${tab}:${dk}/${id}`;
+}
+
+function readDraft(key) {
+  try {
+    const draft = JSON.parse(localStorage.getItem(key));
+    return draft && typeof draft === 'object' ? draft : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Every stored draft: [{ key, tab, dk, id, text, name, at }]
+function loadDrafts() {
+  const drafts = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    const m = key && key.startsWith(DRAFT_KEY_PREFIX) && key.slice(DRAFT_KEY_PREFIX.length).match(/^([^:]+):([^/]+)\/(.+)$/);
+    if (m) drafts.push({ ...readDraft(key), key, tab: m[1], dk: m[2], id: m[3] });
+  }
+  return drafts;
+}
+
+function writeDraft(dk, id, name, text) {
+  try {
+    localStorage.setItem(draftKey(TAB_ID, dk, id), JSON.stringify({ text, name, at: Date.now() }));
+  } catch (_) {
+    // storage full: the draft is lost, the autosave still runs
+  }
+}
+
+// Drop this tab's draft of a cell if it still holds `text`
+function clearDraft(dk, id, text) {
+  const key = draftKey(TAB_ID, dk, id);
+  const draft = readDraft(key);
+  if (draft && draft.text === text) localStorage.removeItem(key);
+}
+
+function dropDrafts(keys) {
+  keys.forEach(key => localStorage.removeItem(key));
+}
+
+// What the journal holds for a draft's cell ('' when the cell is gone)
+function draftStoredText(dk, id) {
+  const entry = data.entries[dk];
+  if (!entry) return '';
+  if (findTopic(id)) return typeof entry.pinned[id] === 'string' ? entry.pinned[id] : '';
+  const fc = (entry.free || []).find(f => f.id === id);
+  return fc ? fc.text || '' : '';
+}
+
+// Offer drafts from tabs that closed or crashed before their text was saved.
+// With Web Locks every tab holds a lock named after it while open, so drafts
+// of other open tabs are left alone.
+async function offerDraftRecovery() {
+  const live = new Set();
+  if (navigator.locks) {
+    try {
+      (await navigator.locks.query()).held.forEach(lock => live.add(lock.name));
+    } catch (_) {}
+  }
+  const found = [];
+  const stale = [];
+  // newest first, so of several closed tabs' drafts of one cell the last wins
+  loadDrafts().sort((a, b) => (b.at || 0) - (a.at || 0)).forEach(draft => {
+    const { key, tab, dk, id, text } = draft;
+    if (typeof text !== 'string') return stale.push(key);
+    if (tab === TAB_ID || live.has(`gridjournal-tab-${tab}`)) return;
+    if (draftStoredText(dk, id) === text || found.some(f => f.dk === dk && f.id === id)) stale.push(key);
+    else found.push({ key, dk, id, name: String(draft.name || 'Untitled'), text });
+  });
+  if (stale.length) dropDrafts(stale);
+  if (!found.length) return;
+
+  const names = found.slice(0, 3).map(f => `"${f.name}" on ${f.dk}`).join(', ') + (found.length > 3 ? ', …' : '');
+  showBanner({
+    id: 'drafts',
+    message: `Unsaved text from an earlier session was found in ${found.length} cell${found.length === 1 ? '' : 's'}: ${names}.`,
+    actions: [
+      { label: 'Restore', primary: true, onClick: () => recoverDrafts(found) },
+      { label: 'Discard', onClick: () => dropDrafts(found.map(f => f.key)) }
+    ]
+  });
+}
+
+// Put recovered drafts into their cells; the replaced text stays in the
+// cell's history. A cell that no longer exists comes back as a free cell.
+function recoverDrafts(found) {
+  closeActiveCell();
+  mutate(`Recovered unsaved text in ${found.length} cell${found.length === 1 ? '' : 's'}`,
+    [...new Set(found.map(f => f.dk))], () => {
+      found.forEach(({ dk, id, name, text }) => {
+        const entry = getEntry(dk);
+        const topic = findTopic(id);
+        if (topic && topicType(topic) === 'markdown') {
+          recordRevision(dk, id, entry.pinned[id] || '', text);
+          entry.pinned[id] = text;
+          return;
+        }
+        let fc = entry.free.find(f => f.id === id);
+        if (!fc) {
+          fc = topic ? { id: uid(), name: `${name} (recovered)`, text: '' } : { id, name, text: '' };
+          entry.free.push(fc);
+        }
+        recordRevision(dk, fc.id, fc.text || '', text);
+        fc.text = text;
+      });
+    }, { toast: true });
+  dropDrafts(found.map(f => f.key));
+  render();
+}
+
+// Commit the open cell when the page is hidden or closed; its draft covers
+// the case where the write does not finish in time
+window.addEventListener('pagehide', () => {
+  if (activeCell && activeCell.el._commit) activeCell.el._commit();
+});
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden && activeCell && activeCell.el._commit) activeCell.el._commit();
+});
+
+// ─── Revision history ────────────────────────────────────────────────────────
+//
+// Saving a text cell appends the new text to entry.revisions[cellId] (cell id
+// = topic id or free-cell id), inside the same mutate() as the edit so undo
+// takes the revision back too. The first save of a cell that already had
+// text also keeps that text, with an unknown time (at: null). Lists are
+// pruned to settings.revisionLimit versions and revisionRetentionDays.
+
+let historyCell = null;   // { dk, id }
+let historySelected = 0;  // index into the cell's revisions
+
+function cellRevisions(dk, id) {
+  const entry = data.entries[dk];
+  return (entry && entry.revisions && entry.revisions[id]) || [];
+}
+
+// Call inside mutate(): `previous` is the text being replaced. A revision
+// saved at or after `since` (the start of the editing session) is replaced.
+function recordRevision(dk, id, previous, text, since = Infinity) {
+  const entry = getEntry(dk);
+  if (!entry.revisions) entry.revisions = {};
+  const list = entry.revisions[id] || [];
+  if (!list.length && previous) list.push({ at: null, text: previous });
+  const last = list[list.length - 1];
+  if (last && last.at !== null && last.at >= since) list.pop();
+  // typing back to the previous version leaves no extra entry
+  if (!list.length || list[list.length - 1].text !== text) list.push({ at: Date.now(), text });
+  entry.revisions[id] = pruneRevisionList(list);
+}
+
+// Versions of unknown age only go by count
+function pruneRevisionList(list) {
+  const cutoff = Date.now() - data.settings.revisionRetentionDays * DAY_MS;
+  return list.filter(r => r.at === null || r.at >= cutoff).slice(-data.settings.revisionLimit);
+}
+
+// Apply the pruning policy everywhere and drop the history of cells that no
+// longer exist (and are not in the trash). Not undoable: it is housekeeping.
+function purgeRevisions() {
+  const live = new Set([
+    ...data.pinnedTopics.map(t => t.id),
+    ...data.trash.columns.map(c => c.topic.id),
+    ...data.trash.freeCells.map(f => `${f.dateKey}/${f.cell.id}`)
+  ]);
+  const changed = [];
+  for (const dk in data.entries) {
+    const entry = data.entries[dk];
+    if (!entry.revisions) continue;
+    const before = JSON.stringify(entry.revisions);
+    const freeIds = new Set((entry.free || []).map(f => f.id));
+    for (const id in entry.revisions) {
+      const list = live.has(id) || freeIds.has(id) || live.has(`${dk}/${id}`)
+        ? pruneRevisionList(entry.revisions[id]) : [];
+      if (list.length) entry.revisions[id] = list;
+      else delete entry.revisions[id];
+    }
+    if (!Object.keys(entry.revisions).length) delete entry.revisions;
+    if (JSON.stringify(entry.revisions) !== before) changed.push(dk);
+  }
+  if (changed.length) saveData(changed);
+}
+
+const DIFF_MAX_CELLS = 4e6; // LCS table size (changed lines × changed lines) worth lining up
+
+// Line diff of a → b by longest common subsequence: [{ op: '=' | '-' | '+', text }]
+function diffLines(a, b) {
+  const x = a ? a.split('\n') : [];
+  const y = b ? b.split('\n') : [];
+  // the common head and tail need no table
+  let start = 0;
+  while (start < x.length && start < y.length && x[start] === y[start]) start++;
+  let endX = x.length, endY = y.length;
+  while (endX > start && endY > start && x[endX - 1] === y[endY - 1]) { endX--; endY--; }
+  const n = endX - start, m = endY - start;
+  const out = x.slice(0, start).map(text => ({ op: '=', text }));
+  if (n * m > DIFF_MAX_CELLS) {
+    // too big to line up: show the changed middle as removed, then added
+    x.slice(start, endX).forEach(text => out.push({ op: '-', text }));
+    y.slice(start, endY).forEach(text => out.push({ op: '+', text }));
+    x.slice(endX).forEach(text => out.push({ op: '=', text }));
+    return out;
+  }
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = x[start + i] === y[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  let i = 0, j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && x[start + i] === y[start + j]) {
+      out.push({ op: '=', text: x[start + i] });
+      i++; j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      out.push({ op: '-', text: x[start + i++] });
+    } else {
+      out.push({ op: '+', text: y[start + j++] });
+    }
+  }
+  x.slice(endX).forEach(text => out.push({ op: '=', text }));
+  return out;
+}
+
+function historyCellInfo(dk, id) {
+  const topic = findTopic(id);
+  const entry = data.entries[dk] || EMPTY_ENTRY;
+  if (topic) return topicType(topic) === 'markdown' ? { name: topic.name, text: entry.pinned[id] || '' } : null;
+  const fc = entry.free.find(f => f.id === id);
+  return fc ? { name: fc.name, text: fc.text || '' } : null;
+}
+
+function formatRevisionTime(at) {
+  return at === null ? 'Before history was kept' : new Date(at).toLocaleString();
+}
+
+function openHistoryModal(dk, id) {
+  closeActiveCell();
+  const info = historyCellInfo(dk, id);
+  if (!info) return;
+  historyCell = { dk, id };
+  historySelected = Math.max(0, cellRevisions(dk, id).length - 2);
+  document.getElementById('history-modal-title').textContent = `History — ${info.name} · ${dk}`;
+  document.getElementById('history-compare').value = 'previous';
+  document.getElementById('history-limit').value = data.settings.revisionLimit;
+  document.getElementById('history-days').value = data.settings.revisionRetentionDays;
+  renderHistory();
+  document.getElementById('history-modal').classList.remove('hidden');
+  document.getElementById('overlay').classList.remove('hidden');
+  document.getElementById('overlay').onclick = closeHistoryModal;
+  document.getElementById('history-list').focus();
+}
+
+function closeHistoryModal() {
+  const cell = historyCell && document.querySelector(
+    `.day-row[data-date-key="${historyCell.dk}"] [data-topic-id="${historyCell.id}"], ` +
+    `.day-row[data-date-key="${historyCell.dk}"] [data-free-cell-id="${historyCell.id}"]`);
+  historyCell = null;
+  document.getElementById('history-modal').classList.add('hidden');
+  document.getElementById('overlay').classList.add('hidden');
+  if (cell) cell.focus();
+}
+
+function renderHistory() {
+  const { dk, id } = historyCell;
+  const info = historyCellInfo(dk, id);
+  const revisions = cellRevisions(dk, id);
+  const list = document.getElementById('history-list');
+  const diffEl = document.getElementById('history-diff');
+  const restoreBtn = document.getElementById('history-restore');
+  list.innerHTML = '';
+  diffEl.innerHTML = '';
+  if (!info || !revisions.length) {
+    list.innerHTML = '<li class="history-empty">No saved versions yet.</li>';
+    restoreBtn.disabled = true;
+    return;
+  }
+  historySelected = Math.min(historySelected, revisions.length - 1);
+
+  // newest first
+  revisions.map((rev, index) => ({ rev, index })).reverse().forEach(({ rev, index }) => {
+    const prev = index > 0 ? revisions[index - 1].text : '';
+    const diff = diffLines(prev, rev.text);
+    const added = diff.filter(d => d.op === '+').length;
+    const removed = diff.filter(d => d.op === '-').length;
+    const li = document.createElement('li');
+    li.className = 'history-item' + (index === historySelected ? ' selected' : '');
+    li.innerHTML = `<span class="history-time">${escHtml(formatRevisionTime(rev.at))}</span>` +
+      `<span class="history-stat"><ins>+${added}</ins> <del>−${removed}</del>` +
+      `${rev.text === info.text ? ' · current' : ''}</span>`;
+    li.addEventListener('click', () => {
+      historySelected = index;
+      renderHistory();
+    });
+    list.appendChild(li);
+  });
+
+  const selected = revisions[historySelected];
+  const againstCurrent = document.getElementById('history-compare').value === 'current';
+  const base = againstCurrent ? selected.text : (historySelected > 0 ? revisions[historySelected - 1].text : '');
+  const target = againstCurrent ? info.text : selected.text;
+  renderDiff(diffEl, diffLines(base, target));
+  restoreBtn.disabled = selected.text === info.text;
+}
+
+const DIFF_CONTEXT = 3; // unchanged lines shown around each change
+
+function renderDiff(container, diff) {
+  if (!diff.some(d => d.op !== '=')) {
+    container.innerHTML = '<p class="history-empty">No differences.</p>';
+    return;
+  }
+  const near = diff.map((_, i) => diff.slice(Math.max(0, i - DIFF_CONTEXT), i + DIFF_CONTEXT + 1).some(d => d.op !== '='));
+  let skipped = 0;
+  const flush = () => {
+    if (!skipped) return;
+    const gap = document.createElement('div');
+    gap.className = 'diff-gap';
+    gap.textContent = `⋯ ${skipped} unchanged line${skipped === 1 ? '' : 's'}`;
+    container.appendChild(gap);
+    skipped = 0;
+  };
+  diff.forEach((d, i) => {
+    if (!near[i]) {
+      skipped++;
+      return;
+    }
+    flush();
+    const line = document.createElement('div');
+    line.className = 'diff-line ' + { '=': 'diff-same', '-': 'diff-del', '+': 'diff-add' }[d.op];
+    line.textContent = `${d.op === '=' ? ' ' : d.op === '-' ? '−' : '+'} ${d.text}`;
+    container.appendChild(line);
+  });
+  flush();
+}
+
+function restoreRevision() {
+  const { dk, id } = historyCell;
+  const rev = cellRevisions(dk, id)[historySelected];
+  const info = historyCellInfo(dk, id);
+  if (!rev || !info || rev.text === info.text) return;
+  mutate(`"${info.name}" on ${dk} restored to ${formatRevisionTime(rev.at)}`, [dk], () => {
+    const entry = getEntry(dk);
+    const fc = (entry.free || []).find(f => f.id === id);
+    if (fc) fc.text = rev.text;
+    else entry.pinned[id] = rev.text;
+    recordRevision(dk, id, info.text, rev.text);
+  }, { toast: true });
+  historySelected = cellRevisions(dk, id).length - 1;
+  refreshRow(dk);
+  reapplyQuery();
+  renderHistory();
+}
+
+function setRevisionPolicy(key, input, max) {
+  const n = Math.round(Number(input.value));
+  if (!(n >= 1 && n <= max)) {
+    input.value = data.settings[key];
+    return;
+  }
+  if (n === data.settings[key]) return;
+  mutate(key === 'revisionLimit' ? `History now keeps ${n} versions` : `History now kept for ${n} days`, [], () => {
+    data.settings[key] = n;
+  });
+  purgeRevisions();
+  render();
+  if (historyCell) renderHistory();
+}
+
+document.getElementById('history-compare').addEventListener('change', renderHistory);
+document.getElementById('history-restore').addEventListener('click', restoreRevision);
+document.getElementById('history-close').addEventListener('click', closeHistoryModal);
+document.getElementById('history-limit').addEventListener('change', e => setRevisionPolicy('revisionLimit', e.target, 1000));
+document.getElementById('history-days').addEventListener('change', e => setRevisionPolicy('revisionRetentionDays', e.target, 3650));
+document.getElementById('history-modal').addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeHistoryModal();
+  if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && e.target.id === 'history-list') {
+    e.preventDefault();
+    const count = cellRevisions(historyCell.dk, historyCell.id).length;
+    // the list is newest first, so "down" is an older version
+    historySelected = Math.max(0, Math.min(count - 1, historySelected + (e.key === 'ArrowUp' ? 1 : -1)));
+    renderHistory();
+  }
+});
+
+// ─── Wiki links ──────────────────────────────────────────────────────────────
+//
+// [[2026-03-04]] links a day and [[2026-03-04#Sleep]] a cell on it: the
+// pinned column of that name, else the day's free cell of that name.
+// [[…|label]] shows the label instead. Renaming a column or free cell
+// rewrites the links pointing at it. Every text cell is scanned into a
+// backlink index, rebuilt after each change, and cells show how many others
+// link to them.
+
+const WIKI_LINK = /\[\[(\d{4}-\d{2}-\d{2})(?:#([^\]|\n]+))?(?:\|([^\]\n]+))?\]\]/g;
+const LINK_HIGHLIGHT_MS = 2000;
+const LINK_SUGGEST_MAX = 8;
+
+// 'dk' or 'dk#name' (lower case) -> [{ dk, topicId | freeCellId, name, text }]; reset
+// wherever text changes: mutate(), applyCommand() and the tab/server sync paths
+let backlinkCache = null;
+let linkSuggest = null;   // { textarea, start, items, selected }
+let backlinksFor = null;  // the badge whose list is open
+
+marked.use({ extensions: [{
+  name: 'wikiLink',
+  level: 'inline',
+  start: src => src.indexOf('[['),
+  tokenizer(src) {
+    const m = new RegExp(`^${WIKI_LINK.source}`).exec(src);
+    if (m) return { type: 'wikiLink', raw: m[0], dk: m[1], name: (m[2] || '').trim(), label: (m[3] || '').trim() };
+  },
+  renderer({ dk, name, label }) {
+    const params = new URLSearchParams({ d: dk });
+    if (name) params.set('c', name);
+    const missing = name && !resolveWikiLink(dk, name);
+    return `<a href="#/${dk.slice(0, 7)}?${escHtml(params.toString())}" class="wiki-link${missing ? ' missing' : ''}"` +
+      ` title="${escHtml(name ? `${dk} · ${name}` : dk)}">${escHtml(label || (name ? `${name} · ${dk}` : dk))}</a>`;
+  }
+}] });
+
+// The cell `name` means on `dk`: { dk, topicId } / { dk, freeCellId }, or null
+function resolveWikiLink(dk, name) {
+  const topic = topicByName(name);
+  if (topic) return { dk, topicId: topic.id };
+  const entry = data.entries[dk];
+  const fc = entry && (entry.free || []).find(f => f.name.toLowerCase() === name.toLowerCase());
+  return fc ? { dk, freeCellId: fc.id } : null;
+}
+
+// Point the links at `from` (on the days in `dks`, or any day) to `to`.
+// Call inside mutate(); the rewrite is part of the rename, not a revision.
+function retargetLinks(from, to, dks = null) {
+  if (from === to) return;
+  const rewrite = text => text.replace(WIKI_LINK, (all, dk, name, label) =>
+    name && name.trim().toLowerCase() === from.toLowerCase() && (!dks || dks.includes(dk))
+      ? `[[${dk}#${to}${label ? '|' + label : ''}]]` : all);
+  for (const dk in data.entries) {
+    const entry = data.entries[dk];
+    for (const id in entry.pinned) {
+      if (typeof entry.pinned[id] === 'string' && entry.pinned[id].includes('[[')) entry.pinned[id] = rewrite(entry.pinned[id]);
+    }
+    (entry.free || []).forEach(f => {
+      if (f.text && f.text.includes('[[')) f.text = rewrite(f.text);
+    });
+  }
+}
+
+function backlinkIndex() {
+  if (backlinkCache) return backlinkCache;
+  backlinkCache = new Map();
+  const scan = (text, src) => {
+    for (const m of text.matchAll(WIKI_LINK)) {
+      const key = m[2] ? `${m[1]}#${m[2].trim().toLowerCase()}` : m[1];
+      if (!backlinkCache.has(key)) backlinkCache.set(key, []);
+      const list = backlinkCache.get(key);
+      if (!list.includes(src)) list.push(src);
+    }
+  };
+  Object.keys(data.entries).sort().forEach(dk => {
+    const entry = data.entries[dk];
+    data.pinnedTopics.forEach(t => {
+      const text = entry.pinned && entry.pinned[t.id];
+      if (topicType(t) === 'markdown' && text) scan(text, { dk, topicId: t.id, name: t.name, text });
+    });
+    (entry.free || []).forEach(f => {
+      if (f.text) scan(f.text, { dk, freeCellId: f.id, name: f.name, text: f.text });
+    });
+  });
+  return backlinkCache;
+}
+
+// Other cells linking to the day (no name) or to its cell `name`
+function cellBacklinks(dk, name = '') {
+  const key = name ? `${dk}#${name.toLowerCase()}` : dk;
+  return (backlinkIndex().get(key) || []).filter(s => !(s.dk === dk && s.name.toLowerCase() === name.toLowerCase()));
+}
+
+function makeBacklinksBadge(dk, name = '') {
+  const btn = document.createElement('button');
+  btn.className = 'backlinks-btn';
+  btn.dataset.dateKey = dk;
+  btn.dataset.name = name;
+  btn.addEventListener('click', e => {
+    e.stopPropagation();
+    if (backlinksFor === btn) closeBacklinks();
+    else openBacklinks(btn);
+  });
+  updateBacklinksBadge(btn);
+  return btn;
+}
+
+function updateBacklinksBadge(btn) {
+  const n = cellBacklinks(btn.dataset.dateKey, btn.dataset.name).length;
+  btn.hidden = !n;
+  btn.textContent = `↩ ${n}`;
+  btn.title = `${n} link${n === 1 ? '' : 's'} here`;
+}
+
+// After an edit: counts elsewhere on screen may have changed
+function refreshBacklinkBadges() {
+  document.querySelectorAll('.backlinks-btn').forEach(updateBacklinksBadge);
+}
+
+function openBacklinks(btn) {
+  const pop = document.getElementById('backlinks-pop');
+  const { dateKey: dk, name } = btn.dataset;
+  pop.innerHTML = `<div class="backlinks-title">Linked from</div>`;
+  cellBacklinks(dk, name).forEach(src => {
+    // the text around the first link to this cell
+    const at = [...src.text.matchAll(WIKI_LINK)].find(m =>
+      m[1] === dk && (m[2] || '').trim().toLowerCase() === name.toLowerCase());
+    const from = Math.max(0, (at ? at.index : 0) - 30);
+    const item = document.createElement('button');
+    item.className = 'backlink-item';
+    item.innerHTML = `<span class="backlink-src"></span><span class="backlink-snippet"></span>`;
+    item.querySelector('.backlink-src').textContent = `${src.dk} · ${src.name}`;
+    item.querySelector('.backlink-snippet').textContent = (from ? '…' : '') + snippet(src.text.slice(from), 70);
+    item.addEventListener('click', e => {
+      e.stopPropagation();
+      closeBacklinks();
+      showLinkedCell(src);
+    });
+    pop.appendChild(item);
+  });
+  const r = btn.getBoundingClientRect();
+  pop.style.left = `${Math.max(8, Math.min(r.left, window.innerWidth - 300))}px`;
+  pop.style.top = `${r.bottom + 4}px`;
+  pop.classList.remove('hidden');
+  backlinksFor = btn;
+}
+
+function closeBacklinks() {
+  document.getElementById('backlinks-pop').classList.add('hidden');
+  backlinksFor = null;
+}
+
+// Jump to a cell ({ dk, topicId | freeCellId }) and make it stand out
+function showLinkedCell(target) {
+  jumpToDate(target.dk);
+  highlightLinkedCell(target);
+}
+
+function highlightLinkedCell(target) {
+  const row = document.querySelector(`.day-row[data-date-key="${target.dk}"]`);
+  const cell = row && (target.topicId
+    ? row.querySelector(`.topic-cell[data-topic-id="${target.topicId}"]`)
+    : target.freeCellId && row.querySelector(`.free-cell[data-free-cell-id="${target.freeCellId}"]`));
+  if (!cell) return;
+  focusGridCell(cell);
+  cell.classList.add('link-highlight');
+  setTimeout(() => cell.classList.remove('link-highlight'), LINK_HIGHLIGHT_MS);
+}
+
+function followWikiLink(dk, name) {
+  const target = name ? resolveWikiLink(dk, name) : null;
+  if (name && !target) showToast(`Nothing called "${name}" on ${dk}`);
+  showLinkedCell(target || { dk });
+}
+
+// Plain clicks follow the link in place; modified ones open the route in a new tab
+document.addEventListener('click', e => {
+  const link = e.target.closest && e.target.closest('a.wiki-link');
+  if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button) return;
+  e.preventDefault();
+  e.stopPropagation();
+  const params = new URLSearchParams(link.getAttribute('href').split('?')[1]);
+  followWikiLink(params.get('d'), params.get('c') || '');
+}, true);
+
+document.addEventListener('click', e => {
+  if (backlinksFor && !e.target.closest('#backlinks-pop')) closeBacklinks();
+});
+document.addEventListener('keydown', e => {
+  if (e.key === 'Escape' && backlinksFor) closeBacklinks();
+});
+window.addEventListener('scroll', () => { if (backlinksFor) closeBacklinks(); }, { passive: true });
+
+// Autocomplete after "[[": days first, then after "#" the day's cells.
+// Registered before the cell's own keydown handler, so it gets first say on
+// Enter, Tab, arrows and Escape while the list is open.
+function enableLinkSuggest(textarea) {
+  textarea.addEventListener('input', () => updateLinkSuggest(textarea));
+  textarea.addEventListener('click', () => updateLinkSuggest(textarea));
+  textarea.addEventListener('blur', closeLinkSuggest);
+  textarea.addEventListener('keydown', e => {
+    if (!linkSuggest || linkSuggest.textarea !== textarea || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      const n = linkSuggest.items.length;
+      linkSuggest.selected = (linkSuggest.selected + (e.key === 'ArrowDown' ? 1 : n - 1)) % n;
+      renderLinkSuggest();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      acceptLinkSuggestion(linkSuggest.selected);
+    } else if (e.key === 'Escape') {
+      closeLinkSuggest();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+  });
+}
+
+function updateLinkSuggest(textarea) {
+  const before = textarea.value.slice(0, textarea.selectionStart);
+  let m = before.match(/\[\[(\d{4}-\d{2}-\d{2})#([^\]|\n#]*)$/);
+  let items = [];
+  if (m) {
+    const q = m[2].trim().toLowerCase();
+    items = linkCellNames(m[1])
+      .filter(name => name.toLowerCase().includes(q))
+      .map(name => ({ text: name, note: m[1], insert: `${name}]]` }));
+  } else if ((m = before.match(/\[\[([^\]|\n#]*)$/))) {
+    items = linkDateCandidates(m[1].trim());
+  }
+  if (!items.length) return closeLinkSuggest();
+  const query = m[m.length - 1];
+  linkSuggest = { textarea, start: textarea.selectionStart - query.length, items: items.slice(0, LINK_SUGGEST_MAX), selected: 0 };
+  renderLinkSuggest();
+}
+
+// Cells a link on `dk` can name: the columns shown that day, then its free cells
+function linkCellNames(dk) {
+  const entry = data.entries[dk];
+  return [
+    ...data.pinnedTopics.filter(t => topicShownOn(t, dk)).map(t => t.name),
+    ...((entry && entry.free) || []).map(f => f.name)
+  ].filter((name, i, all) => all.findIndex(n => n.toLowerCase() === name.toLowerCase()) === i);
+}
+
+function linkDateCandidates(q) {
+  const items = [];
+  const add = (dk, note) => {
+    if (!items.some(it => it.text === dk)) items.push({ text: dk, note, insert: `${dk}]]` });
+  };
+  const parsed = q && parsePaletteDate(q);
+  if (parsed) add(parsed, q.toLowerCase() === parsed ? '' : q);
+  ['today', 'yesterday', 'tomorrow'].filter(w => w.startsWith(q.toLowerCase())).forEach(w => add(parsePaletteDate(w), w));
+  Object.keys(data.entries).sort().reverse()
+    .filter(dk => dk.startsWith(q) && linkCellNames(dk).length)
+    .slice(0, LINK_SUGGEST_MAX)
+    .forEach(dk => {
+      const d = keyToDate(dk);
+      add(dk, dayName(d.getFullYear(), d.getMonth(), d.getDate()));
+    });
+  // a complete date also offers its cells
+  if (parsed) {
+    linkCellNames(parsed).forEach(name => items.push({ text: `${parsed}#${name}`, note: '', insert: `${parsed}#${name}]]` }));
+  }
+  return items;
+}
+
+function renderLinkSuggest() {
+  const list = document.getElementById('link-suggest');
+  list.innerHTML = '';
+  linkSuggest.items.forEach((item, i) => {
+    const li = document.createElement('li');
+    li.className = 'link-suggest-item' + (i === linkSuggest.selected ? ' selected' : '');
+    li.innerHTML = `<span></span><span class="link-suggest-note"></span>`;
+    li.firstChild.textContent = item.text;
+    li.lastChild.textContent = item.note;
+    // mousedown, so the textarea keeps focus
+    li.addEventListener('mousedown', e => {
+      e.preventDefault();
+      acceptLinkSuggestion(i);
+    });
+    list.appendChild(li);
+  });
+  const r = linkSuggest.textarea.getBoundingClientRect();
+  list.style.left = `${Math.max(8, Math.min(r.left, window.innerWidth - 260))}px`;
+  list.style.top = `${r.bottom + 2}px`;
+  list.classList.remove('hidden');
+}
+
+function acceptLinkSuggestion(i) {
+  const { textarea, start, items } = linkSuggest;
+  const end = textarea.selectionStart;
+  const closed = textarea.value.slice(end).startsWith(']]');
+  textarea.setRangeText(closed ? items[i].insert.slice(0, -2) : items[i].insert, start, end, 'end');
+  if (closed) textarea.selectionStart = textarea.selectionEnd = textarea.selectionEnd + 2;
+  closeLinkSuggest();
+  textarea.dispatchEvent(new Event('input'));
+}
+
+function closeLinkSuggest() {
+  linkSuggest = null;
+  document.getElementById('link-suggest').classList.add('hidden');
+}
+
+// ─── Archive panel ───────────────────────────────────────────────────────────
+
+function updateArchiveBtn() {
+  const btn = document.getElementById('archive-panel-btn');
+  if (!btn) return;
+  const count = data.pinnedTopics.filter(t => t.archived || isEndedTopic(t)).length;
+  btn.dataset.count = count > 0 ? count : '';
+  btn.title = count > 0 ? `Archived and ended columns (${count})` : 'Archive (empty)';
+}
+
+function openArchivePanel() {
+  purgeTrash();
+  archivePanelOpen = true;
+  document.getElementById('archive-panel').classList.add('open');
+  document.getElementById('archive-panel-btn').classList.add('active');
+  renderArchivePanel();
+}
+
+function closeArchivePanel() {
+  archivePanelOpen = false;
+  document.getElementById('archive-panel').classList.remove('open');
+  document.getElementById('archive-panel-btn').classList.remove('active');
+}
+
+function renderArchivePanel() {
+  renderTrash();
+  const list = document.getElementById('archive-list');
+  list.innerHTML = '';
+  renderEndedList();
+  const archived = data.pinnedTopics.filter(t => t.archived);
+  if (archived.length === 0) {
+    list.innerHTML = '<p class="archive-empty">No archived columns.</p>';
+    return;
+  }
+  archived.forEach(topic => {
+    const unarchiveBtn = document.createElement('button');
+    unarchiveBtn.className = 'archive-item-btn';
+    unarchiveBtn.title = 'Unarchive — restore to grid';
+    unarchiveBtn.textContent = '🔁';
+    unarchiveBtn.addEventListener('click', () => unarchiveTopic(topic));
+    list.appendChild(makeTopicArchiveItem(topic, unarchiveBtn));
+  });
+}
+
+// Columns whose active months are over (archived ones are listed above)
+function renderEndedList() {
+  const list = document.getElementById('ended-list');
+  list.innerHTML = '';
+  const ended = data.pinnedTopics.filter(t => !t.archived && isEndedTopic(t));
+  if (ended.length === 0) {
+    list.innerHTML = '<p class="archive-empty">No ended columns.</p>';
+    return;
+  }
+  ended.forEach(topic => {
+    const datesBtn = document.createElement('button');
+    datesBtn.className = 'archive-item-btn';
+    datesBtn.title = 'Change active months';
+    datesBtn.textContent = '📅';
+    datesBtn.addEventListener('click', () => openTypeModal(topic, 'type-start'));
+    const reopenBtn = document.createElement('button');
+    reopenBtn.className = 'archive-item-btn';
+    reopenBtn.title = 'Reopen — keep the column going';
+    reopenBtn.textContent = '🔁';
+    reopenBtn.addEventListener('click', () => setTopicEnd(topic, null));
+    list.appendChild(makeTopicArchiveItem(topic, datesBtn, reopenBtn));
+  });
+}
+
+function makeTopicArchiveItem(topic, ...buttons) {
+  const item = document.createElement('div');
+  item.className = 'archive-item trash-item';
+  const info = document.createElement('div');
+  info.className = 'trash-item-info';
+  const name = document.createElement('span');
+  name.className = 'archive-item-name';
+  name.textContent = topic.name;
+  const meta = document.createElement('span');
+  meta.className = 'trash-item-meta';
+  const count = topicEntryCount(topic);
+  meta.textContent = `${describeTopicSpan(topic)} · ${count} entr${count === 1 ? 'y' : 'ies'}`;
+  info.appendChild(name);
+  info.appendChild(meta);
+  item.appendChild(info);
+  buttons.forEach(btn => item.appendChild(btn));
+  return item;
+}
+
+// ─── Trash ────────────────────────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function renderTrash() {
+  const list = document.getElementById('trash-list');
+  list.innerHTML = '';
+  document.getElementById('trash-retention').value = data.settings.trashRetentionDays;
+  const items = [
+    ...data.trash.columns.map(c => ({ kind: 'column', item: c })),
+    ...data.trash.freeCells.map(f => ({ kind: 'free', item: f }))
+  ].sort((a, b) => b.item.deletedAt - a.item.deletedAt);
+  document.getElementById('trash-empty-btn').disabled = items.length === 0;
+  if (items.length === 0) {
+    list.innerHTML = '<p class="archive-empty">Trash is empty.</p>';
+    return;
+  }
+  items.forEach(({ kind, item }) => {
+    const el = document.createElement('div');
+    el.className = 'archive-item trash-item';
+    const info = document.createElement('div');
+    info.className = 'trash-item-info';
+    const name = document.createElement('span');
+    name.className = 'archive-item-name';
+    const meta = document.createElement('span');
+    meta.className = 'trash-item-meta';
+    const deleted = new Date(item.deletedAt).toLocaleDateString();
+    if (kind === 'column') {
+      const days = Object.keys(item.cells).length;
+      name.textContent = `▥ ${item.topic.name}`;
+      meta.textContent = `column · ${days} day${days === 1 ? '' : 's'} · deleted ${deleted}`;
+    } else {
+      name.textContent = item.cell.name;
+      meta.textContent = `${item.dateKey} · deleted ${deleted}`;
+      if (item.cell.text) el.title = item.cell.text;
+    }
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'archive-item-btn';
+    restoreBtn.title = 'Restore';
+    restoreBtn.textContent = '🔁';
+    restoreBtn.addEventListener('click', () => restoreFromTrash(kind, item.id));
+    const purgeBtn = document.createElement('button');
+    purgeBtn.className = 'archive-item-btn';
+    purgeBtn.title = 'Delete permanently';
+    purgeBtn.textContent = '✕';
+    purgeBtn.addEventListener('click', () => deleteFromTrash(kind, item.id));
+
+    el.appendChild(info);
+    el.appendChild(restoreBtn);
+    el.appendChild(purgeBtn);
+    list.appendChild(el);
+  });
+}
+
+// Put a trashed column or free cell back at its original date and position
+function restoreFromTrash(kind, id) {
+  if (kind === 'column') {
+    const item = data.trash.columns.find(c => c.id === id);
+    if (!item) return;
+    mutate(`Column "${item.topic.name}" restored`, null, () => {
+      const topic = { ...item.topic };
+      if (findTopic(topic.id)) topic.id = uid();
+      if (data.pinnedTopics.some(t => t.name.toLowerCase() === topic.name.toLowerCase())) topic.name += ' (restored)';
+      data.pinnedTopics.splice(Math.min(item.index, data.pinnedTopics.length), 0, topic);
+      for (const dk in item.cells) getEntry(dk).pinned[topic.id] = item.cells[dk];
+      data.trash.columns = data.trash.columns.filter(c => c.id !== id);
+    }, { toast: true });
+  } else {
+    const item = data.trash.freeCells.find(f => f.id === id);
+    if (!item) return;
+    mutate(`"${item.cell.name}" on ${item.dateKey} restored`, [item.dateKey], () => {
+      const entry = getEntry(item.dateKey);
+      const cell = { ...item.cell };
+      if (entry.free.some(f => f.id === cell.id)) cell.id = uid();
+      entry.free.splice(Math.min(item.index, entry.free.length), 0, cell);
+      data.trash.freeCells = data.trash.freeCells.filter(f => f.id !== id);
+    }, { toast: true });
+  }
+  render();
+  renderArchivePanel();
+}
+
+function deleteFromTrash(kind, id) {
+  mutate('Deleted permanently from trash', [], () => {
+    if (kind === 'column') data.trash.columns = data.trash.columns.filter(c => c.id !== id);
+    else data.trash.freeCells = data.trash.freeCells.filter(f => f.id !== id);
+  }, { toast: true });
+  renderArchivePanel();
+}
+
+function emptyTrash() {
+  mutate('Trash emptied', [], () => {
+    data.trash.columns = [];
+    data.trash.freeCells = [];
+  }, { toast: true });
+  renderArchivePanel();
+}
+
+// Drop trash older than the retention period. Not undoable: it is housekeeping.
+function purgeTrash() {
+  const cutoff = Date.now() - data.settings.trashRetentionDays * DAY_MS;
+  const { columns, freeCells } = data.trash;
+  const purged = new Set([...columns, ...freeCells].filter(item => item.deletedAt < cutoff).map(item => item.id));
+  if (!purged.size) return;
+  data.trash.columns = columns.filter(c => !purged.has(c.id));
+  data.trash.freeCells = freeCells.filter(f => !purged.has(f.id));
+  // Older undo/redo snapshots of the trash must not bring purged items back
+  [...undoStack, ...redoStack].forEach(cmd => {
+    if (!cmd.meta.trash) return;
+    cmd.meta.trash = cmd.meta.trash.map(json => {
+      if (json === null) return null;
+      const trash = JSON.parse(json);
+      trash.columns = trash.columns.filter(c => !purged.has(c.id));
+      trash.freeCells = trash.freeCells.filter(f => !purged.has(f.id));
+      return JSON.stringify(trash);
+    });
+  });
+  saveData([]);
+}
+
+document.getElementById('trash-retention').addEventListener('change', e => {
+  const days = Math.round(Number(e.target.value));
+  if (!(days >= 1 && days <= 3650)) {
+    e.target.value = data.settings.trashRetentionDays;
+    return;
+  }
+  mutate(`Trash now kept for ${days} days`, [], () => {
+    data.settings.trashRetentionDays = days;
+  });
+  purgeTrash();
+  renderArchivePanel();
+});
+document.getElementById('trash-empty-btn').addEventListener('click', emptyTrash);
+
+// ─── Export / import ─────────────────────────────────────────────────────────
+//
+// Export file:  { format: 'gridjournal', version, exportedAt, data }
+//
+// Import either replaces `data` wholesale or merges into it. Merging matches
+// topics by name (case-insensitive) since ids are random per device, and
+// matches free cells by name within the same day.
+
+const EXPORT_FORMAT = 'gridjournal';
+const EXPORT_VERSION = 1;
+
+let importPending = null; // { fileName, incoming, plan }
+
+function exportJournal() {
+  const payload = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    data
+  };
+  const now = new Date();
+  downloadText(`grid-journal-${dateKey(now.getFullYear(), now.getMonth(), now.getDate())}.json`,
+    JSON.stringify(payload, null, 2));
+}
+
+// Validate a parsed export file and return its journal object.
+// Bare journal objects ({ pinnedTopics, entries }) are accepted as well.
+function readExport(parsed) {
+  if (!parsed || typeof parsed !== 'object') throw new Error('Not a journal file.');
+  let journal = parsed;
+  if (parsed.format !== undefined) {
+    if (parsed.format !== EXPORT_FORMAT) throw new Error(`Unknown file format "${parsed.format}".`);
+    if (typeof parsed.version !== 'number' || parsed.version > EXPORT_VERSION) {
+      throw new Error(`Unsupported export version ${parsed.version}.`);
+    }
+    journal = parsed.data;
+  }
+  if (!journal || !Array.isArray(journal.pinnedTopics) || typeof journal.entries !== 'object' || !journal.entries) {
+    throw new Error('File does not contain a journal (pinnedTopics / entries missing).');
+  }
+  return migrateData(journal);
+}
+
+// Work out what a merge would do without touching `data`.
+function planMerge(incoming) {
+  const byName = new Map(data.pinnedTopics.map(t => [t.name.toLowerCase(), t]));
+  const nameById = new Map(data.pinnedTopics.map(t => [t.id, t.name]));
+  const usedIds = new Set(data.pinnedTopics.map(t => t.id));
+  const topicMap = {};   // incoming id -> local id
+  const newTopics = [];  // topics to append
+  const convert = {};    // incoming id -> [incoming topic, local topic] for typed columns
+  let matchedTopics = 0;
+
+  incoming.pinnedTopics.forEach(t => {
+    const local = byName.get(t.name.toLowerCase());
+    if (local) {
+      topicMap[t.id] = local.id;
+      if (topicType(t) !== 'markdown' || topicType(local) !== 'markdown') convert[t.id] = [t, local];
+      matchedTopics++;
+      return;
+    }
+    const id = usedIds.has(t.id) ? uid() : t.id;
+    usedIds.add(id);
+    const topic = { ...t, id };
+    newTopics.push(topic);
+    byName.set(t.name.toLowerCase(), topic);
+    nameById.set(id, t.name);
+    topicMap[t.id] = id;
+  });
+
+  const additions = []; // { dk, kind:'pinned'|'free', topicId|fc, text }
+  const conflicts = []; // { dk, kind, name, topicId|freeId, mine, theirs }
+  let newDates = 0;
+
+  for (const dk in incoming.entries) {
+    const inc = incoming.entries[dk] || {};
+    const local = data.entries[dk];
+    const hasLocal = local && (Object.values(local.pinned || {}).some(Boolean) || (local.free || []).length);
+    if (!hasLocal) newDates++;
+
+    for (const incId in (inc.pinned || {})) {
+      let theirs = inc.pinned[incId];
+      const topicId = topicMap[incId];
+      if (isEmptyValue(theirs) || !topicId) continue;
+      if (convert[incId]) {
+        // Matched by name, maybe to a column of another type: go through text
+        // like a type change does; what doesn't convert becomes a free cell
+        const [incTopic, localTopic] = convert[incId];
+        const text = formatCellValue(incTopic, theirs);
+        theirs = parseCellValue(localTopic, text);
+        if (theirs === undefined) {
+          additions.push({ dk, kind: 'free', fc: { id: uid(), name: localTopic.name, text }, text });
+          continue;
+        }
+        if (isEmptyValue(theirs)) continue;
+      }
+      const mine = local && local.pinned && local.pinned[topicId];
+      if (isEmptyValue(mine)) additions.push({ dk, kind: 'pinned', topicId, text: theirs });
+      else if (mine !== theirs) conflicts.push({ dk, kind: 'pinned', topicId, name: nameById.get(topicId), mine, theirs });
+    }
+
+    (inc.free || []).forEach(fc => {
+      const mineFc = ((local && local.free) || []).find(f => f.name.toLowerCase() === fc.name.toLowerCase());
+      if (!mineFc) additions.push({ dk, kind: 'free', fc, text: fc.text || '' });
+      else if ((mineFc.text || '') !== (fc.text || '')) {
+        conflicts.push({ dk, kind: 'free', freeId: mineFc.id, name: mineFc.name, mine: mineFc.text || '', theirs: fc.text || '' });
+      }
+    });
+  }
+
+  conflicts.sort((a, b) => a.dk.localeCompare(b.dk) || a.name.localeCompare(b.name));
+
+  // Saved searches and recurring cells are matched by name; a name that is
+  // already here keeps the local one. Trash items are matched by id.
+  const byNew = (local, list) => {
+    const names = new Set(local.map(x => x.name.toLowerCase()));
+    const ids = new Set(local.map(x => x.id));
+    const added = [];
+    list.forEach(x => {
+      if (names.has(x.name.toLowerCase())) return;
+      names.add(x.name.toLowerCase());
+      added.push(ids.has(x.id) ? { ...x, id: uid() } : x);
+    });
+    return added;
+  };
+  const views = byNew(data.savedViews, incoming.savedViews);
+  const rules = byNew(data.recurring, incoming.recurring);
+  const skipped = incoming.savedViews.length - views.length + incoming.recurring.length - rules.length;
+  const trashIds = new Set([...data.trash.columns, ...data.trash.freeCells].map(t => t.id));
+  const trash = {
+    columns: incoming.trash.columns.filter(t => !trashIds.has(t.id)),
+    freeCells: incoming.trash.freeCells.filter(t => !trashIds.has(t.id))
+  };
+
+  return { topicMap, newTopics, matchedTopics, additions, conflicts, newDates, views, rules, skipped, trash };
+}
+
+function applyMerge(plan, strategy) {
+  plan.newTopics.forEach(t => data.pinnedTopics.push(t));
+  data.savedViews.push(...plan.views);
+  data.recurring.push(...plan.rules);
+  data.trash.columns.push(...plan.trash.columns);
+  data.trash.freeCells.push(...plan.trash.freeCells);
+  plan.additions.forEach(a => {
+    const entry = getEntry(a.dk);
+    if (a.kind === 'pinned') entry.pinned[a.topicId] = a.text;
+    else {
+      if (!entry.free) entry.free = [];
+      const id = entry.free.some(f => f.id === a.fc.id) ? uid() : a.fc.id;
+      entry.free.push({ ...a.fc, id });
+    }
+  });
+  if (strategy === 'mine') return;
+  plan.conflicts.forEach(c => {
+    // typed values can't be combined, so "both" keeps mine for those
+    const bothText = typeof c.mine === 'string' && typeof c.theirs === 'string';
+    if (strategy === 'both' && !bothText) return;
+    const text = strategy === 'both' ? `${c.mine}\n\n---\n\n${c.theirs}` : c.theirs;
+    const entry = getEntry(c.dk);
+    if (c.kind === 'pinned') entry.pinned[c.topicId] = text;
+    else {
+      const fc = (entry.free || []).find(f => f.id === c.freeId);
+      if (fc) fc.text = text;
+    }
+  });
+}
+
+function snippet(text, len = 80) {
+  const s = String(text).replace(/\s+/g, ' ').trim();
+  return s.length > len ? s.slice(0, len - 1) + '…' : s;
+}
+
+function openImportModal(fileName, incoming) {
+  importPending = { fileName, incoming, plan: planMerge(incoming) };
+  document.getElementById('import-source').textContent = fileName;
+  document.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+  document.getElementById('import-strategy').value = 'mine';
+  renderImportPreview();
+  document.getElementById('import-modal').classList.remove('hidden');
+  document.getElementById('overlay').classList.remove('hidden');
+  document.getElementById('overlay').onclick = closeImportModal;
+}
+
+function closeImportModal() {
+  importPending = null;
+  document.getElementById('import-modal').classList.add('hidden');
+  document.getElementById('overlay').classList.add('hidden');
+}
+
+function renderImportPreview() {
+  const { incoming, plan } = importPending;
+  const mode = document.querySelector('input[name="import-mode"]:checked').value;
+  const summary = document.getElementById('import-summary');
+  const conflictsWrap = document.getElementById('import-conflicts-wrap');
+  const incDates = Object.keys(incoming.entries).length;
+
+  if (mode === 'replace') {
+    const curDates = Object.keys(data.entries).length;
+    summary.innerHTML = `
+      <p>The current journal (<b>${data.pinnedTopics.length}</b> columns, <b>${curDates}</b> days)
+      will be <b>replaced</b> by the imported one (<b>${incoming.pinnedTopics.length}</b> columns, <b>${incDates}</b> days).</p>
+      <p class="modal-note">Export first if you may want the current journal back.</p>`;
+    conflictsWrap.classList.add('hidden');
+    return;
+  }
+
+  summary.innerHTML = `
+    <ul>
+      <li><b>${plan.matchedTopics}</b> columns matched by name, <b>${plan.newTopics.length}</b> new
+        ${plan.newTopics.length ? `(${plan.newTopics.map(t => escHtml(t.name)).join(', ')})` : ''}</li>
+      <li><b>${plan.newDates}</b> new days, <b>${plan.additions.length}</b> cells added</li>
+      <li><b>${plan.conflicts.length}</b> cells differ from what is already here</li>
+      <li><b>${plan.views.length}</b> saved searches, <b>${plan.rules.length}</b> recurring cells and
+        <b>${plan.trash.columns.length + plan.trash.freeCells.length}</b> trashed items added${plan.skipped
+          ? ` (<b>${plan.skipped}</b> skipped: one with the same name is already here)` : ''}</li>
+    </ul>`;
+  conflictsWrap.classList.toggle('hidden', plan.conflicts.length === 0);
+  document.getElementById('import-conflicts-title').textContent =
+    `Conflicts (${plan.conflicts.length})`;
+
+  const list = document.getElementById('import-conflicts');
+  list.innerHTML = '';
+  let lastDk = null;
+  plan.conflicts.forEach(c => {
+    if (c.dk !== lastDk) {
+      const dateHdr = document.createElement('div');
+      dateHdr.className = 'import-conflict-date';
+      dateHdr.textContent = c.dk;
+      list.appendChild(dateHdr);
+      lastDk = c.dk;
+    }
+    const row = document.createElement('div');
+    row.className = 'import-conflict';
+    row.innerHTML = `
+      <span class="import-conflict-topic">${escHtml(c.name)}${c.kind === 'free' ? ' <i>(free)</i>' : ''}</span>
+      <span class="import-conflict-mine" title="${escHtml(String(c.mine))}">${escHtml(snippet(c.mine))}</span>
+      <span class="import-conflict-theirs" title="${escHtml(String(c.theirs))}">${escHtml(snippet(c.theirs))}</span>`;
+    list.appendChild(row);
+  });
+}
+
+function applyImport() {
+  if (!importPending) return;
+  const { incoming, plan } = importPending;
+  const mode = document.querySelector('input[name="import-mode"]:checked').value;
+  const strategy = document.getElementById('import-strategy').value;
+  closeActiveCell();
+  mutate(`Journal imported from ${importPending.fileName}`, null, () => {
+    if (mode === 'replace') data = incoming;
+    else applyMerge(plan, strategy);
+  }, { toast: true });
+  if (mode === 'replace') expandedColumns.clear();
+  closeImportModal();
+  render();
+  if (archivePanelOpen) renderArchivePanel();
+}
+
+document.getElementById('export-btn').addEventListener('click', exportJournal);
+document.getElementById('import-btn').addEventListener('click', () => {
+  document.getElementById('import-file').click();
+});
+document.getElementById('import-file').addEventListener('change', async e => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    openImportModal(file.name, readExport(JSON.parse(await file.text())));
+    dismissBanner('import');
+  } catch (err) {
+    showBanner({ id: 'import', tone: 'error', message: `Could not import "${file.name}": ${err.message}` });
+  }
+});
+document.querySelectorAll('input[name="import-mode"]').forEach(r => r.addEventListener('change', renderImportPreview));
+document.getElementById('import-cancel').addEventListener('click', closeImportModal);
+document.getElementById('import-apply').addEventListener('click', applyImport);
+document.getElementById('import-modal').addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeImportModal();
+});
+
+// ─── Multi-tab sync ──────────────────────────────────────────────────────────
+//
+// Every committed saveData() diff is posted on a BroadcastChannel; other tabs
+// fold it into their own `data` and redraw the affected rows. The cell being
+// edited is never replaced: if its stored value changes underneath it, the
+// user is told and their text is kept until they decide.
+
+const tabChannel = 'BroadcastChannel' in window ? new BroadcastChannel('gridjournal') : null;
+let pendingRemoteRender = false; // topics changed while a cell was open
+
+function broadcastChanges(changes) {
+  if (tabChannel) tabChannel.postMessage({ type: 'changes', changes });
+}
+
+function applyRemoteChanges({ meta, puts, deletes }) {
+  backlinkCache = null;
+  const fields = [];
+  if (meta) {
+    new Set([...Object.keys(data), ...Object.keys(meta)]).forEach(key => {
+      if (key !== 'entries' && JSON.stringify(data[key]) !== JSON.stringify(meta[key])) fields.push(key);
+    });
+    Object.keys(data).forEach(k => { if (k !== 'entries') delete data[k]; });
+    Object.assign(data, meta);
+    persisted.meta = JSON.stringify(meta);
+  }
+  const touched = [];
+  puts.forEach(([dk, entry]) => {
+    checkActiveCellConflict(dk, entry);
+    data.entries[dk] = entry;
+    persisted.entries.set(dk, JSON.stringify(entry));
+    touched.push(dk);
+  });
+  deletes.forEach(dk => {
+    checkActiveCellConflict(dk, null);
+    delete data.entries[dk];
+    persisted.entries.delete(dk);
+    touched.push(dk);
+  });
+  dropUndoFor(touched, fields);
+
+  scheduleSync();
+  if (meta) {
+    // Column changes need a full redraw, which would close the open cell
+    if (activeCell) pendingRemoteRender = true;
+    else render();
+    if (archivePanelOpen) renderArchivePanel();
+  } else if (currentView === 'year') {
+    buildRows();
+  } else {
+    touched.forEach(refreshRow);
+    reapplyQuery();
+  }
+}
+
+// Warn when another tab saved the cell that is open here
+function checkActiveCellConflict(dk, entry) {
+  if (!activeCell || activeCell.dateKey !== dk) return;
+  let stored;
+  if (activeCell.type === 'pinned') {
+    stored = (entry && entry.pinned && entry.pinned[activeCell.topicId]) || '';
+  } else {
+    const fc = entry && (entry.free || []).find(f => f.id === activeCell.freeCellId);
+    stored = fc ? fc.text || '' : null;
+  }
+  if (stored === activeCell.base) return;
+  activeCell.base = stored;
+  const cell = activeCell.el;
+  cell.classList.add('remote-conflict');
+
+  if (stored === null) {
+    showBanner({
+      id: 'tab-conflict',
+      message: `"${activeCell.name}" on ${dk} was deleted in another tab. Saving will restore it with your text.`
+    });
+    return;
+  }
+  showBanner({
+    id: 'tab-conflict',
+    message: `"${activeCell.name}" on ${dk} was just changed in another tab. ` +
+      'Your text is kept and will replace theirs when you save.',
+    actions: [{ label: 'Use theirs', onClick: () => {
+      const textarea = cell.querySelector('.cell-textarea');
+      if (textarea) textarea.value = stored;
+      cell.classList.remove('remote-conflict');
+    } }]
+  });
+}
+
+// Rebuild one visible day row from `data`, keeping the open cell element
+function refreshRow(dk) {
+  const old = document.querySelector(`.day-row[data-date-key="${dk}"]`);
+  if (!old) return;
+  const row = makeRow(dk);
+  if (activeCell && old.contains(activeCell.el)) {
+    const el = activeCell.el;
+    const twin = activeCell.type === 'pinned'
+      ? row.querySelector(`.topic-cell[data-topic-id="${activeCell.topicId}"]`)
+      : row.querySelector(`.free-cell[data-free-cell-id="${activeCell.freeCellId}"]`);
+    if (twin) twin.replaceWith(el);
+    else row.querySelector('.add-free-cell-btn').before(el);
+  }
+  old.replaceWith(row);
+}
+
+// ─── Server sync ─────────────────────────────────────────────────────────────
+//
+// Optional sync with a self-hosted endpoint; protocol and reference server are
+// in server/. The journal is flattened into revisioned records (see
+// journalRecords) and the last synced rev + hash of each is remembered per
+// browser, outside `data`. Only one tab (the lock holder) talks to the server.
+
+const SYNC_KEY = 'gridjournal-sync';
+const SYNC_INTERVAL = 60 * 1000;
+const SYNC_DEBOUNCE = 5 * 1000;
+
+let syncLeader = false;
+let syncRunning = false;
+let syncTimer = null;
+let syncStatus = { state: 'off', message: 'Not configured' }; // off | idle | syncing | ok | error
+
+function loadSyncState() {
+  try {
+    return { lastRev: 0, base: {}, ...JSON.parse(localStorage.getItem(SYNC_KEY) || '{}') };
+  } catch (_) {
+    return { lastRev: 0, base: {} };
+  }
+}
+
+function saveSyncState(state) {
+  localStorage.setItem(SYNC_KEY, JSON.stringify(state));
+}
+
+// Flatten the journal into sync records: Map key -> value
+function journalRecords() {
+  const records = new Map();
+  data.pinnedTopics.forEach((t, index) => records.set(`topic/${t.id}`, { ...t, index }));
+  data.savedViews.forEach((v, index) => records.set(`view/${v.id}`, { ...v, index }));
+  data.recurring.forEach((r, index) => records.set(`recurring/${r.id}`, { ...r, index }));
+  for (const dk in data.entries) {
+    const entry = data.entries[dk];
+    for (const topicId in entry.pinned || {}) {
+      const value = entry.pinned[topicId];
+      if (!isEmptyValue(value)) records.set(`pinned/${dk}/${topicId}`, value);
+    }
+    (entry.free || []).forEach((fc, index) => {
+      records.set(`free/${dk}/${fc.id}`, { name: fc.name, text: fc.text || '', index });
+    });
+  }
+  return records;
+}
+
+// FNV-1a over the JSON form; only compared for equality
+function hashValue(value) {
+  const str = JSON.stringify(value);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+// Records that differ from what was last synced, plus tombstones for records
+// that no longer exist locally
+function localChanges(records, base) {
+  const changes = [];
+  records.forEach((value, key) => {
+    const b = base[key];
+    if (!b || b.hash !== hashValue(value)) changes.push({ key, baseRev: b ? b.rev : 0, value });
+  });
+  for (const key in base) {
+    if (!records.has(key) && base[key].hash !== null) changes.push({ key, baseRev: base[key].rev, deleted: true });
+  }
+  return changes;
+}
+
+function applySyncRecord(key, rec) {
+  const [kind, a, b] = key.split('/');
+  if (kind === 'topic') {
+    const i = data.pinnedTopics.findIndex(t => t.id === a);
+    if (i >= 0) data.pinnedTopics.splice(i, 1);
+    if (rec.deleted) {
+      expandedColumns.delete(a);
+      return;
+    }
+    const { index, ...topic } = rec.value;
+    data.pinnedTopics.splice(Math.min(index ?? Infinity, data.pinnedTopics.length), 0, { ...topic, id: a });
+  } else if (kind === 'view') {
+    data.savedViews = data.savedViews.filter(v => v.id !== a);
+    if (rec.deleted) return;
+    const { index, ...view } = rec.value;
+    data.savedViews.splice(Math.min(index ?? Infinity, data.savedViews.length), 0, { ...view, id: a });
+  } else if (kind === 'recurring') {
+    data.recurring = data.recurring.filter(r => r.id !== a);
+    if (rec.deleted) return;
+    const { index, ...rule } = rec.value;
+    data.recurring.splice(Math.min(index ?? Infinity, data.recurring.length), 0, { ...rule, id: a });
+  } else if (kind === 'pinned') {
+    const entry = getEntry(a);
+    const before = entry.pinned[b];
+    if (rec.deleted) delete entry.pinned[b];
+    else entry.pinned[b] = rec.value;
+    // text cells keep what the server replaced in their history
+    const topic = findTopic(b);
+    if (topic && topicType(topic) === 'markdown' && (before || '') !== (entry.pinned[b] || '')) {
+      recordRevision(a, b, before || '', entry.pinned[b] || '');
+    }
+  } else if (kind === 'free') {
+    const entry = getEntry(a);
+    const old = (entry.free || []).find(f => f.id === b);
+    entry.free = (entry.free || []).filter(f => f.id !== b);
+    if (rec.deleted) return;
+    const { index, ...fc } = rec.value;
+    if ((old ? old.text || '' : '') !== (fc.text || '')) recordRevision(a, b, old ? old.text || '' : '', fc.text || '');
+    entry.free.splice(Math.min(index ?? Infinity, entry.free.length), 0, { ...fc, id: b });
+  }
+}
+
+// Keep the losing local side of a per-cell conflict as a free cell
+function keepConflictCopy(key, value) {
+  const [kind, dk, id] = key.split('/');
+  if (kind === 'topic' || kind === 'view' || kind === 'recurring') return; // settings: server wins
+  const topic = data.pinnedTopics.find(t => t.id === id);
+  const text = kind === 'pinned' ? (topic ? formatCellValue(topic, value) : String(value)) : value.text;
+  if (!text) return;
+  const name = kind === 'pinned' ? (topic ? topic.name : 'Column') : value.name;
+  getEntry(dk).free.push({ id: uid(), name: `${name} (conflict)`, text });
+}
+
+const SYNC_META_FIELDS = { topic: 'pinnedTopics', view: 'savedViews', recurring: 'recurring' };
+
+// Apply server records. Where the same key also changed locally (`pending`)
+// and the two differ, the server wins and the local text is kept as a
+// conflict copy. Returns true when `data` changed.
+function applyIncoming(records, pending, state) {
+  let changed = false;
+  const dateKeys = [];
+  const fields = [];
+  records.forEach(rec => {
+    const serverHash = rec.deleted ? null : hashValue(rec.value);
+    state.base[rec.key] = { rev: rec.rev, hash: serverHash };
+    const mine = pending.get(rec.key);
+    if (mine) {
+      pending.delete(rec.key);
+      if ((mine.deleted ? null : hashValue(mine.value)) === serverHash) return;
+      if (!mine.deleted) keepConflictCopy(rec.key, mine.value);
+    }
+    applySyncRecord(rec.key, rec);
+    const [kind, a] = rec.key.split('/');
+    if (SYNC_META_FIELDS[kind]) fields.push(SYNC_META_FIELDS[kind]);
+    else dateKeys.push(a);
+    changed = true;
+  });
+  dropUndoFor(dateKeys, fields);
+  return changed;
+}
+
+// First contact: give never-synced local columns (and free cells) the
+// server's id for the one of the same name, so two journals combine instead
+// of duplicating
+function adoptServerIds(records, state) {
+  let changed = false;
+  const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  records.filter(r => !r.deleted).forEach(r => {
+    const [kind, a, b] = r.key.split('/');
+    if (kind === 'topic') {
+      if (data.pinnedTopics.some(t => t.id === a)) return;
+      const local = data.pinnedTopics.find(t => sameName(t.name, r.value.name) && !state.base[`topic/${t.id}`]);
+      if (!local) return;
+      for (const dk in data.entries) {
+        const pinned = data.entries[dk].pinned;
+        if (pinned && local.id in pinned) {
+          pinned[a] = pinned[local.id];
+          delete pinned[local.id];
+        }
+      }
+      if (expandedColumns.delete(local.id)) expandedColumns.add(a);
+      local.id = a;
+      changed = true;
+    } else if (kind === 'free' && data.entries[a]) {
+      const free = data.entries[a].free || [];
+      if (free.some(f => f.id === b)) return;
+      const local = free.find(f => sameName(f.name, r.value.name) && !state.base[`free/${a}/${f.id}`]);
+      if (!local) return;
+      local.id = b;
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+async function syncRequest(state, method, body) {
+  const url = new URL(state.endpoint, location.href);
+  if (method === 'GET') url.searchParams.set('since', state.lastRev);
+  const headers = { 'Content-Type': 'application/json' };
+  if (state.token) headers.Authorization = `Bearer ${state.token}`;
+  const res = await fetch(url, { method, headers, body: body && JSON.stringify(body) });
+  if (!res.ok) {
+    let message = `${res.status} ${res.statusText}`;
+    try { message = (await res.json()).error || message; } catch (_) {}
+    throw new Error(message);
+  }
+  return res.json();
+}
+
+async function syncNow() {
+  if (!syncLeader) {
+    if (tabChannel) tabChannel.postMessage({ type: 'sync-now' });
+    return;
+  }
+  if (syncRunning || !loadSyncState().endpoint) return;
+  if (activeCell) {
+    // never pull changes in underneath an open cell
+    scheduleSync();
+    return;
+  }
+  syncRunning = true;
+  setSyncStatus('syncing', 'Syncing…');
+  try {
+    const state = loadSyncState();
+    const pulled = await syncRequest(state, 'GET');
+    let changed = state.lastRev === 0 && adoptServerIds(pulled.records, state);
+    if (changed) {
+      // ids changed all over the journal: no snapshot from before still fits
+      undoStack = [];
+      redoStack = [];
+    }
+    let pending = new Map(localChanges(journalRecords(), state.base).map(c => [c.key, c]));
+    changed = applyIncoming(pulled.records, pending, state) || changed;
+    // Recompute so conflict copies made just now go out in this push
+    pending = new Map(localChanges(journalRecords(), state.base).map(c => [c.key, c]));
+
+    const pushed = await syncRequest(state, 'POST', { since: pulled.rev, changes: [...pending.values()] });
+    pushed.applied.forEach(({ key, rev }) => {
+      const c = pending.get(key);
+      state.base[key] = { rev, hash: c.deleted ? null : hashValue(c.value) };
+      pending.delete(key);
+    });
+    changed = applyIncoming([...pushed.conflicts, ...pushed.records], pending, state) || changed;
+    state.lastRev = pushed.rev;
+    saveSyncState(state);
+
+    if (changed) {
+      backlinkCache = null;
+      await saveData();
+      render();
+      if (archivePanelOpen) renderArchivePanel();
+    }
+    setSyncStatus('ok', `Synced at ${new Date().toLocaleTimeString()}`);
+  } catch (err) {
+    setSyncStatus('error', `Sync failed: ${err.message}`);
+  } finally {
+    syncRunning = false;
+  }
+}
+
+// Debounced sync after local edits
+function scheduleSync() {
+  if (!syncLeader || syncRunning || !loadSyncState().endpoint) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(syncNow, SYNC_DEBOUNCE);
+}
+
+function setSyncStatus(state, message) {
+  syncStatus = { state, message };
+  renderSyncStatus();
+  if (syncLeader && tabChannel) tabChannel.postMessage({ type: 'sync-status', status: syncStatus });
+}
+
+function renderSyncStatus() {
+  const btn = document.getElementById('sync-btn');
+  btn.dataset.state = syncStatus.state;
+  btn.title = `Sync — ${syncStatus.message}`;
+  const status = document.getElementById('sync-status');
+  status.textContent = syncStatus.message;
+  status.dataset.state = syncStatus.state;
+}
+
+// One tab at a time owns syncing; the others forward "Sync now" to it
+function startSync() {
+  const run = () => {
+    syncLeader = true;
+    if (loadSyncState().endpoint) {
+      setSyncStatus('idle', 'Waiting for first sync');
+      syncNow();
+    }
+    setInterval(() => { if (!document.hidden) syncNow(); }, SYNC_INTERVAL);
+  };
+  if (loadSyncState().endpoint) syncStatus = { state: 'idle', message: 'Sync handled by another tab' };
+  renderSyncStatus();
+  if (navigator.locks) {
+    navigator.locks.request('gridjournal-sync-leader', () => {
+      run();
+      return new Promise(() => {}); // held for the lifetime of the tab
+    });
+  } else {
+    run();
+  }
+}
+
+function openSyncModal() {
+  const state = loadSyncState();
+  document.getElementById('sync-endpoint').value = state.endpoint || '';
+  document.getElementById('sync-token').value = state.token || '';
+  renderSyncStatus();
+  document.getElementById('sync-modal').classList.remove('hidden');
+  document.getElementById('overlay').classList.remove('hidden');
+  document.getElementById('overlay').onclick = closeSyncModal;
+  document.getElementById('sync-endpoint').focus();
+}
+
+function closeSyncModal() {
+  document.getElementById('sync-modal').classList.add('hidden');
+  document.getElementById('overlay').classList.add('hidden');
+}
+
+function saveSyncSettings() {
+  const endpoint = document.getElementById('sync-endpoint').value.trim();
+  const token = document.getElementById('sync-token').value.trim();
+  if (endpoint) {
+    try { new URL(endpoint, location.href); } catch (_) {
+      setSyncStatus('error', 'That endpoint is not a valid URL');
+      return;
+    }
+  }
+  const state = loadSyncState();
+  // A different server starts from scratch
+  const next = endpoint === state.endpoint ? { ...state, token } : { endpoint, token, lastRev: 0, base: {} };
+  if (!endpoint) {
+    localStorage.removeItem(SYNC_KEY);
+    setSyncStatus('off', 'Not configured');
+  } else {
+    saveSyncState(next);
+    syncNow();
+  }
+}
+
+document.getElementById('sync-btn').addEventListener('click', openSyncModal);
+document.getElementById('sync-close').addEventListener('click', closeSyncModal);
+document.getElementById('sync-save').addEventListener('click', saveSyncSettings);
+document.getElementById('sync-modal').addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeSyncModal();
+  if (e.key === 'Enter' && e.target.tagName === 'INPUT') saveSyncSettings();
+});
+
+// ─── Banners ─────────────────────────────────────────────────────────────────
+
+// Show a dismissable notice under the top bar. Banners with the same `id`
+// replace each other. actions: [ { label, onClick, primary } ]
+function showBanner({ id, message, actions = [], tone = 'warn' }) {
+  const area = document.getElementById('banner-area');
+  if (id) dismissBanner(id);
+  const el = document.createElement('div');
+  el.className = `banner banner-${tone}`;
+  if (id) el.dataset.bannerId = id;
+  const msg = document.createElement('span');
+  msg.className = 'banner-msg';
+  msg.textContent = message;
+  el.appendChild(msg);
+  [...actions, { label: 'Dismiss' }].forEach(a => {
+    const btn = document.createElement('button');
+    btn.className = a.primary ? 'banner-btn primary' : 'banner-btn';
+    btn.textContent = a.label;
+    btn.addEventListener('click', () => {
+      if (a.onClick && a.onClick() === false) return; // keep banner open
+      el.remove();
+    });
+    el.appendChild(btn);
+  });
+  area.appendChild(el);
+  return el;
+}
+
+// ─── Toast ───────────────────────────────────────────────────────────────────
+
+const TOAST_MS = 6000;
+let toastTimer = null;
+
+// Short-lived message at the bottom of the screen, with an optional action
+function showToast(message, action) {
+  const area = document.getElementById('toast-area');
+  area.innerHTML = '';
+  const el = document.createElement('div');
+  el.className = 'toast';
+  const msg = document.createElement('span');
+  msg.textContent = message;
+  el.appendChild(msg);
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className = 'toast-btn';
+    btn.textContent = action.label;
+    btn.addEventListener('click', e => {
+      e.stopPropagation();
+      el.remove();
+      action.onClick();
+    });
+    el.appendChild(btn);
+  }
+  area.appendChild(el);
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => el.remove(), TOAST_MS);
+}
+
+function dismissBanner(id) {
+  document.querySelectorAll(`#banner-area .banner[data-banner-id="${id}"]`).forEach(el => el.remove());
+}
+
+function downloadText(fileName, text, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function showRecoveryBanner(reason, backupKey, raw, backedUp) {
+  const download = () => { downloadText(`${backupKey}.json`, raw); return false; };
+  if (backedUp) {
+    showBanner({
+      id: 'recovery',
+      message: `${reason} The original was kept under the "${backupKey}" storage key; ` +
+        'download it to repair or import it.',
+      actions: [{ label: 'Download copy', onClick: download, primary: true }]
+    });
+  } else {
+    showBanner({
+      id: 'recovery',
+      message: `${reason} There was no room to keep a backup, so saving is paused to avoid ` +
+        'overwriting it. Download a copy before starting fresh.',
+      actions: [
+        { label: 'Download copy', onClick: download, primary: true },
+        { label: 'Start fresh', onClick: () => {
+          if (!confirm('Discard the unreadable journal and start saving again?')) return false;
+          savingSuspended = false;
+          saveData();
+        } }
+      ]
+    });
+  }
+}
+
+// ─── Render ───────────────────────────────────────────────────────────────────
+
+function render() {
+  document.body.classList.toggle('view-week', currentView === 'week');
+  document.body.classList.toggle('view-year', currentView === 'year');
+  document.body.classList.toggle('view-timeline', currentView === 'timeline');
+  document.querySelectorAll('#view-switch button').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.view === currentView);
+  });
+  buildHeaders();
+  buildRows();
+  updateMonthLabel();
+  updateSearchArchivedToggle();
+  reapplyQuery();
+  if (viewsPanelOpen) renderViewsPanel();
+  updateRoute();
+}
+
+const MONTH_NAMES = ['January','February','March','April','May','June',
+                     'July','August','September','October','November','December'];
+
+function updateMonthLabel() {
+  let label = `${MONTH_NAMES[currentMonth]} ${currentYear}`;
+  if (currentView === 'year') label = String(currentYear);
+  if (currentView === 'week') {
+    const start = keyToDate(weekStart);
+    const end = keyToDate(weekStart);
+    end.setDate(end.getDate() + 6);
+    const short = d => `${MONTH_NAMES[d.getMonth()].slice(0, 3)} ${d.getDate()}`;
+    label = `${short(start)} – ${short(end)}, ${end.getFullYear()}`;
+  }
+  document.getElementById('month-label').textContent = label;
+}
+
+// ─── Navigation ───────────────────────────────────────────────────────────────
+
+// Monday of the week containing `date`
+function mondayOf(date) {
+  const d = new Date(date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return dateToKey(d);
+}
+
+function setView(view) {
+  closeActiveCell();
+  if (view === 'week') {
+    // the current week if it's in the shown month, else the month's first week
+    const now = new Date();
+    const inMonth = now.getFullYear() === currentYear && now.getMonth() === currentMonth;
+    weekStart = mondayOf(inMonth ? now : new Date(currentYear, currentMonth, 1));
+  }
+  currentView = view;
+  updateRoute(true);
+  render();
+}
+
+// Step the shown period by `dir` (-1 / +1) in the current view's unit
+function stepPeriod(dir) {
+  closeActiveCell();
+  if (currentView === 'timeline') {
+    scrollTimelineTo(...shiftMonth(currentYear, currentMonth, dir));
+    updateRoute(true);
+    return;
+  }
+  if (currentView === 'year') {
+    currentYear += dir;
+  } else if (currentView === 'week') {
+    const d = keyToDate(weekStart);
+    d.setDate(d.getDate() + dir * 7);
+    weekStart = dateToKey(d);
+    // keep the month in step so switching back lands near this week
+    d.setDate(d.getDate() + 3);
+    currentYear = d.getFullYear();
+    currentMonth = d.getMonth();
+  } else {
+    currentMonth += dir;
+    if (currentMonth < 0) { currentMonth = 11; currentYear--; }
+    if (currentMonth > 11) { currentMonth = 0; currentYear++; }
+  }
+  updateRoute(true);
+  render();
+}
+
+// Show `dk` in the month grid and scroll to its row
+function jumpToDate(dk) {
+  const date = keyToDate(dk);
+  closeActiveCell();
+  let row;
+  if (currentView === 'timeline') {
+    row = scrollTimelineTo(date.getFullYear(), date.getMonth(), dk);
+    updateRoute(true);
+  } else {
+    currentView = 'month';
+    currentYear = date.getFullYear();
+    currentMonth = date.getMonth();
+    updateRoute(true);
+    render();
+    row = document.querySelector(`.day-row[data-date-key="${dk}"]`);
+    if (row) row.scrollIntoView({ block: 'center' });
+  }
+  if (row) {
+    row.classList.add('flash');
+    setTimeout(() => row.classList.remove('flash'), 1200);
+  }
+}
+
+document.getElementById('prev-month').addEventListener('click', () => stepPeriod(-1));
+document.getElementById('next-month').addEventListener('click', () => stepPeriod(1));
+document.querySelectorAll('#view-switch button').forEach(btn => {
+  btn.addEventListener('click', () => setView(btn.dataset.view));
+});
+
+// Close active cell when clicking outside
+document.addEventListener('click', e => {
+  if (!activeCell) return;
+  if (!activeCell.el.contains(e.target)) {
+    closeActiveCell();
+  }
+});
+
+// ─── Escape key closes modal ─────────────────────────────────────────────────
+
+document.addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeModal(null);
+});
+
+// ─── Undo / redo keys (text fields keep their own undo) ──────────────────────
+
+function isTextEditing(target) {
+  return target && (target.tagName === 'TEXTAREA' || target.tagName === 'INPUT' ||
+    target.tagName === 'SELECT' || target.isContentEditable);
+}
+
+document.addEventListener('keydown', e => {
+  if (!(e.ctrlKey || e.metaKey) || isTextEditing(e.target)) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+  else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+});
+
+// ─── Keyboard navigation ─────────────────────────────────────────────────────
+//
+// Cells are focusable (tabindex -1) and a focused cell is a cursor: arrows /
+// Tab move it, Enter opens the cell, Escape or Ctrl+S inside an editor come
+// back to it and Ctrl+Enter saves and opens the cell below. Single-key
+// shortcuts only fire outside text fields; ? lists them all.
+
+function gridRows() {
+  return [...document.querySelectorAll('#rows-container .day-row:not(.row-hidden)')];
+}
+
+function gridCells(row) {
+  return [...row.querySelectorAll('.topic-cell:not(.col-hidden):not(.archived-ghost):not(.inactive-cell), .free-cell:not(.col-hidden)')];
+}
+
+function focusGridCell(cell) {
+  if (!cell) return;
+  cell.focus({ preventScroll: true });
+  cell.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+// The cell `dir` ('up' | 'down' | 'left' | 'right' | 'next' | 'prev' | 'home' | 'end') of `cell`
+function neighbourCell(cell, dir) {
+  const row = cell.closest('.day-row');
+  const cells = gridCells(row);
+  const i = cells.indexOf(cell);
+  if (dir === 'home') return cells[0];
+  if (dir === 'end') return cells[cells.length - 1];
+  if (dir === 'left') return cells[i - 1];
+  if (dir === 'right') return cells[i + 1];
+
+  const rows = gridRows();
+  const r = rows.indexOf(row);
+  if (dir === 'next' || dir === 'prev') {
+    const step = dir === 'next' ? 1 : -1;
+    if (cells[i + step]) return cells[i + step];
+    const other = rows[r + step] && gridCells(rows[r + step]);
+    return other && (step > 0 ? other[0] : other[other.length - 1]);
+  }
+  const target = rows[r + (dir === 'down' ? 1 : -1)];
+  if (!target) return null;
+  const targetCells = gridCells(target);
+  // same column for pinned cells, same position otherwise
+  const same = cell.dataset.topicId &&
+    targetCells.find(c => c.dataset.topicId === cell.dataset.topicId && !c.classList.contains('free-cell'));
+  return same || targetCells[Math.min(i, targetCells.length - 1)];
+}
+
+function openGridCell(cell) {
+  if (cell.classList.contains('typed-cell')) {
+    const control = cell.querySelector('input, select, button');
+    if (control) control.focus();
+  } else if (cell.classList.contains('free-cell')) {
+    cell.querySelector('.cell-preview').click();
+  } else {
+    cell.click();
+  }
+}
+
+// Ctrl+Enter in an editor: save, then edit the same column one day down
+function saveAndMoveDown(cell) {
+  const below = neighbourCell(cell, 'down');
+  const topicId = below && below.dataset.topicId;
+  const dk = below && below.dataset.dateKey;
+  cell._saveCell();
+  // saving may have redrawn the row below (other tabs, search); look it up again
+  const fresh = dk && [...document.querySelectorAll(`.day-row[data-date-key="${dk}"] .topic-cell, .day-row[data-date-key="${dk}"] .free-cell`)]
+    .find(c => topicId ? c.dataset.topicId === topicId : c.dataset.freeCellId === below.dataset.freeCellId);
+  if (fresh) {
+    focusGridCell(fresh);
+    openGridCell(fresh);
+  } else {
+    focusGridCell(cell);
+  }
+}
+
+// Row the shortcuts act on: the focused cell's, else today's
+function shortcutRow() {
+  const focused = document.activeElement && document.activeElement.closest && document.activeElement.closest('.day-row');
+  return focused || document.querySelector('#rows-container .day-row.today');
+}
+
+function openHelp() {
+  document.getElementById('help-modal').classList.remove('hidden');
+  document.getElementById('overlay').classList.remove('hidden');
+  document.getElementById('overlay').onclick = closeHelp;
+}
+
+function closeHelp() {
+  document.getElementById('help-modal').classList.add('hidden');
+  document.getElementById('overlay').classList.add('hidden');
+}
+
+const GRID_KEYS = {
+  ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right', Home: 'home', End: 'end'
+};
+
+document.addEventListener('keydown', e => {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (document.querySelector('.modal:not(.hidden)')) {
+    if (e.key === 'Escape' && !document.getElementById('help-modal').classList.contains('hidden')) closeHelp();
+    return;
+  }
+  const target = e.target;
+  // buttons inside a typed cell navigate like the cell itself
+  const cell = target.closest && target.closest('.topic-cell, .free-cell');
+  const onCell = cell && (target === cell || (target.tagName === 'BUTTON' && cell.classList.contains('typed-cell')));
+
+  if (onCell) {
+    const dir = e.key === 'Tab' ? (e.shiftKey ? 'prev' : 'next') : GRID_KEYS[e.key];
+    if (dir) {
+      const next = neighbourCell(cell, dir);
+      if (next || e.key === 'Tab') e.preventDefault();
+      focusGridCell(next);
+      return;
+    }
+    if ((e.key === 'Enter' || e.key === 'F2') && target === cell) {
+      e.preventDefault();
+      openGridCell(cell);
+      return;
+    }
+    if (e.key === 'h' && target === cell) {
+      openHistoryModal(cell.dataset.dateKey, cell.dataset.topicId || cell.dataset.freeCellId);
+      return;
+    }
+  }
+  if (isTextEditing(target)) return;
+
+  if (GRID_KEYS[e.key] && target === document.body) {
+    // start the cursor on today's row (or the first one shown)
+    const row = document.querySelector('#rows-container .day-row.today:not(.row-hidden)') || gridRows()[0];
+    if (row && gridCells(row).length) {
+      e.preventDefault();
+      focusGridCell(gridCells(row)[0]);
+    }
+  } else if (e.key === '/') {
+    e.preventDefault();
+    document.getElementById('search-input').focus();
+  } else if (e.key === '?') {
+    openHelp();
+  } else if (e.key === '[' || e.key === ']') {
+    stepPeriod(e.key === '[' ? -1 : 1);
+  } else if (e.key === 't') {
+    const today = dateToKey(new Date());
+    jumpToDate(today);
+    const row = document.querySelector(`.day-row[data-date-key="${today}"]`);
+    if (row && gridCells(row).length) focusGridCell(gridCells(row)[0]);
+  } else if (e.key === 'n') {
+    const row = shortcutRow();
+    if (!row) return;
+    e.preventDefault();
+    const freeArea = row.querySelector('.free-cells-area');
+    addFreeCellToRow(row.dataset.dateKey, freeArea, freeArea.querySelector('.add-free-cell-btn')).then(el => {
+      if (el) openGridCell(el);
+    });
+  }
+});
+
+document.getElementById('search-input').addEventListener('keydown', e => {
+  if (e.key === 'Escape') e.target.blur();
+});
+document.getElementById('help-btn').addEventListener('click', openHelp);
+document.getElementById('help-close').addEventListener('click', closeHelp);
+
+// ─── Drag and drop ───────────────────────────────────────────────────────────
+//
+// Column headers, written free cells and filled pinned cells are draggable.
+// A header drops between other headers; a free cell drops between the free
+// cells of its own day or any other; a pinned cell drops on another day's row
+// and lands in the same column. Ctrl or Alt while dropping copies instead of
+// moving. Hovering ← / → flips the period, dropping on them moves the cell by
+// one period. Alt+Shift+arrows on the cell cursor are the keyboard version.
+
+const SPRING_DELAY = 700; // ms hovering ← / → before the period flips
+const DRAG_TYPE = 'application/x-gridjournal'; // marks drags started here
+
+let dragItem = null;   // { kind: 'column' | 'free' | 'pinned', dk, topicId | freeCellId, el }
+let dropMarker = null; // { el, cls }
+let springTimer = null;
+let springDir = 0;
+
+function moveTopic(topicId, targetId, after) {
+  const topic = findTopic(topicId);
+  mutate(`Column "${topic.name}" moved`, [], () => {
+    const list = data.pinnedTopics;
+    const [moving] = list.splice(list.findIndex(t => t.id === topicId), 1);
+    const i = list.findIndex(t => t.id === targetId);
+    list.splice(after ? i + 1 : i, 0, moving);
+  });
+  render();
+}
+
+function moveFreeCell(dk, id, targetId, after) {
+  const fc = (data.entries[dk] || EMPTY_ENTRY).free.find(f => f.id === id);
+  mutate(`"${fc.name}" moved on ${dk}`, [dk], () => {
+    const list = getEntry(dk).free;
+    const [moving] = list.splice(list.findIndex(f => f.id === id), 1);
+    const i = list.findIndex(f => f.id === targetId);
+    list.splice(after ? i + 1 : i, 0, moving);
+  });
+  refreshRow(dk);
+}
+
+function joinTexts(a, b) {
+  return a && b ? `${a}\n\n${b}` : a || b;
+}
+
+// Move or copy a free cell, or a pinned cell's content, to day `toDk`. A free
+// cell merges into one of the same name there (else it is inserted before
+// `beforeId`, or appended); pinned text goes after the text already in the
+// column, a typed value replaces the one there. Returns the resulting cell as
+// { dk, topicId } / { dk, freeCellId }.
+function transferCell(src, toDk, { copy = false, beforeId = null } = {}) {
+  if (src.dk === toDk) return null;
+  const verb = copy ? 'copied' : 'moved';
+  if (src.topicId) {
+    const topic = findTopic(src.topicId);
+    // the column only shows a read-only stand-in outside its active months
+    if (!topicShownOn(topic, toDk)) {
+      showToast(`"${topic.name}" is not active in ${formatMonthKey(toDk.slice(0, 7))}`);
+      return null;
+    }
+    const value = (data.entries[src.dk] || EMPTY_ENTRY).pinned[topic.id];
+    if (isEmptyValue(value)) return null;
+    if (topicType(topic) !== 'markdown') {
+      mutate(`"${topic.name}" ${verb} from ${src.dk} to ${toDk}`, [src.dk, toDk], () => {
+        getEntry(toDk).pinned[topic.id] = value;
+        if (!copy) delete getEntry(src.dk).pinned[topic.id];
+      }, { toast: true });
+      return { dk: toDk, topicId: topic.id };
+    }
+    const text = value;
+    mutate(`"${topic.name}" ${verb} from ${src.dk} to ${toDk}`, [src.dk, toDk], () => {
+      const target = getEntry(toDk);
+      const before = target.pinned[topic.id] || '';
+      target.pinned[topic.id] = joinTexts(before, text);
+      recordRevision(toDk, topic.id, before, target.pinned[topic.id]);
+      if (copy) return;
+      delete getEntry(src.dk).pinned[topic.id];
+      recordRevision(src.dk, topic.id, text, '');
+    }, { toast: true });
+    return { dk: toDk, topicId: topic.id };
+  }
+
+  const fc = (data.entries[src.dk] || EMPTY_ENTRY).free.find(f => f.id === src.freeCellId);
+  if (!fc) return null;
+  let result;
+  mutate(`"${fc.name}" ${verb} from ${src.dk} to ${toDk}`, [src.dk, toDk], () => {
+    const from = getEntry(src.dk);
+    const target = getEntry(toDk);
+    const same = target.free.find(f => f.name.toLowerCase() === fc.name.toLowerCase());
+    if (same) {
+      const before = same.text || '';
+      same.text = joinTexts(before, fc.text || '');
+      recordRevision(toDk, same.id, before, same.text);
+      result = same.id;
+    } else {
+      const moved = { ...fc, id: copy || target.free.some(f => f.id === fc.id) ? uid() : fc.id };
+      const i = target.free.findIndex(f => f.id === beforeId);
+      target.free.splice(i < 0 ? target.free.length : i, 0, moved);
+      // a moved cell takes its history along
+      if (!copy && from.revisions && from.revisions[fc.id]) {
+        if (!target.revisions) target.revisions = {};
+        target.revisions[moved.id] = from.revisions[fc.id];
+        delete from.revisions[fc.id];
+      }
+      result = moved.id;
+    }
+    if (copy) return;
+    from.free = from.free.filter(f => f.id !== fc.id);
+    // keep a recurring cell from coming back empty on the old day
+    const rule = matchingRule(src.dk, fc.name);
+    if (rule) rule.skip = [...(rule.skip || []), src.dk];
+  }, { toast: true });
+  return { dk: toDk, freeCellId: result };
+}
+
+// Redraw after a transfer and put the cursor on the resulting cell
+function showTransferred(src, dest) {
+  refreshRow(src.dk);
+  refreshRow(dest.dk);
+  reapplyQuery();
+  if (!document.querySelector(`.day-row[data-date-key="${dest.dk}"]`)) jumpToDate(dest.dk);
+  const row = document.querySelector(`.day-row[data-date-key="${dest.dk}"]`);
+  const cell = row && (dest.topicId
+    ? row.querySelector(`.topic-cell[data-topic-id="${dest.topicId}"]`)
+    : row.querySelector(`.free-cell[data-free-cell-id="${dest.freeCellId}"]`));
+  if (cell) focusGridCell(cell);
+}
+
+// `dk` shifted by one period of the current view, keeping the day of month
+function shiftDateKey(dk, dir) {
+  const date = keyToDate(dk);
+  if (currentView === 'week') {
+    date.setDate(date.getDate() + dir * 7);
+    return dateToKey(date);
+  }
+  const [y, m] = shiftMonth(date.getFullYear(), date.getMonth(), dir);
+  return dateKey(y, m, Math.min(date.getDate(), daysInMonth(y, m)));
+}
+
+// The cell or column under the keyboard cursor as a drag source
+function cellSource(cell) {
+  if (!cell || cell.classList.contains('active') || cell.classList.contains('recurring-pending')) return null;
+  const dk = cell.dataset.dateKey;
+  if (cell.classList.contains('free-cell')) return { kind: 'free', dk, freeCellId: cell.dataset.freeCellId };
+  const value = data.entries[dk] && data.entries[dk].pinned[cell.dataset.topicId];
+  if (isEmptyValue(value)) return null;
+  return { kind: 'pinned', dk, topicId: cell.dataset.topicId };
+}
+
+// Where dropping dragItem at `e` would land: { el, cls, ... } or null
+function dropTarget(e) {
+  const t = e.target.closest ? e.target : e.target.parentElement;
+  if (!t) return null;
+  const half = el => {
+    const r = el.getBoundingClientRect();
+    return e.clientX > r.left + r.width / 2;
+  };
+  if (dragItem.kind === 'column') {
+    const header = t.closest('.topic-header');
+    if (!header || header.dataset.topicId === dragItem.topicId) return null;
+    const after = half(header);
+    return { el: header, cls: after ? 'drop-after' : 'drop-before', targetId: header.dataset.topicId, after };
+  }
+  const nav = t.closest('#prev-month, #next-month');
+  if (nav) return { el: nav, cls: 'drop-target', nav: nav.id === 'prev-month' ? -1 : 1 };
+  const row = t.closest('.day-row');
+  if (!row) return null;
+  const dk = row.dataset.dateKey;
+  if (dragItem.kind === 'pinned' && !topicShownOn(findTopic(dragItem.topicId), dk)) return null;
+  const fcEl = dragItem.kind === 'free' && t.closest('.free-cell:not(.recurring-pending)');
+  if (fcEl && fcEl.dataset.freeCellId !== dragItem.freeCellId) {
+    const after = half(fcEl);
+    return { el: fcEl, cls: after ? 'drop-after' : 'drop-before', dk, targetId: fcEl.dataset.freeCellId, after };
+  }
+  return dk === dragItem.dk ? null : { el: row, cls: 'drop-target', dk };
+}
+
+function markDrop(target) {
+  if (dropMarker && (!target || dropMarker.el !== target.el || dropMarker.cls !== target.cls)) {
+    dropMarker.el.classList.remove(dropMarker.cls);
+    dropMarker = null;
+  }
+  if (target && !dropMarker) {
+    target.el.classList.add(target.cls);
+    dropMarker = { el: target.el, cls: target.cls };
+  }
+}
+
+function springTo(dir) {
+  if (springDir === dir) return;
+  clearTimeout(springTimer);
+  springDir = dir;
+  if (dir) springTimer = setTimeout(() => {
+    springDir = 0;
+    markDrop(null);
+    stepPeriod(dir);
+  }, SPRING_DELAY);
+}
+
+function endDrag() {
+  if (dragItem && dragItem.el) dragItem.el.classList.remove('dragging');
+  markDrop(null);
+  springTo(0);
+  dragItem = null;
+}
+
+// Carry out a drop on `target` (see dropTarget)
+function dropOn(target, copy) {
+  const src = dragItem;
+  endDrag();
+  if (src.kind === 'column') return moveTopic(src.topicId, target.targetId, target.after);
+  if (src.kind === 'free' && target.dk === src.dk) return moveFreeCell(src.dk, src.freeCellId, target.targetId, target.after);
+
+  const toDk = target.nav ? shiftDateKey(src.dk, target.nav) : target.dk;
+  let beforeId = null;
+  if (target.targetId) {
+    // "after" a free cell is before the next one
+    const list = (data.entries[toDk] || EMPTY_ENTRY).free;
+    const i = list.findIndex(f => f.id === target.targetId);
+    beforeId = target.after ? (list[i + 1] || {}).id : target.targetId;
+  }
+  const dest = transferCell(src, toDk, { copy, beforeId });
+  if (dest) showTransferred(src, dest);
+}
+
+document.addEventListener('dragstart', e => {
+  const t = e.target.closest ? e.target : e.target.parentElement;
+  const header = t && t.closest('.topic-header');
+  const cell = t && t.closest('.topic-cell, .free-cell');
+  if (header) {
+    dragItem = { kind: 'column', topicId: header.dataset.topicId, el: header };
+  } else if (cell) {
+    dragItem = cellSource(cell);
+    if (!dragItem) return e.preventDefault();
+    dragItem.el = cell;
+  } else {
+    return;
+  }
+  closeActiveCell();
+  const topic = dragItem.kind !== 'free' && findTopic(dragItem.topicId);
+  const entry = data.entries[dragItem.dk] || EMPTY_ENTRY;
+  const text = dragItem.kind === 'column' ? topic.name
+    : dragItem.kind === 'pinned' ? formatCellValue(topic, entry.pinned[topic.id])
+    : entry.free.find(f => f.id === dragItem.freeCellId).text || '';
+  e.dataTransfer.setData('text/plain', text);
+  e.dataTransfer.setData(DRAG_TYPE, dragItem.kind);
+  e.dataTransfer.effectAllowed = dragItem.kind === 'column' ? 'move' : 'copyMove';
+  dragItem.el.classList.add('dragging');
+});
+
+// False for drags that didn't start here (a file, text from another app).
+// A `dragItem` still set then is left over from a drag whose source was
+// redrawn away, so its dragend never reached the document.
+function ownDrag(e) {
+  if (!dragItem) return false;
+  if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes(DRAG_TYPE)) return true;
+  endDrag();
+  return false;
+}
+
+document.addEventListener('dragover', e => {
+  if (!ownDrag(e)) return;
+  const target = dropTarget(e);
+  markDrop(target);
+  springTo(target && target.nav ? target.nav : 0);
+  if (!target) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = dragItem.kind !== 'column' && (e.ctrlKey || e.altKey) ? 'copy' : 'move';
+});
+
+document.addEventListener('drop', e => {
+  if (!ownDrag(e)) return;
+  const target = dropTarget(e);
+  e.preventDefault();
+  if (target) dropOn(target, dragItem.kind !== 'column' && (e.ctrlKey || e.altKey));
+  else endDrag();
+});
+
+// the source element may have been redrawn away (spring-loaded navigation)
+document.addEventListener('dragend', endDrag);
+
+// Alt+Shift+arrows on the cell cursor: ← / → reorder the column or free
+// cell, ↑ / ↓ move the cell's text to the day before / after
+function moveFocusedCell(cell, key) {
+  const dk = cell.dataset.dateKey;
+  if (key === 'ArrowLeft' || key === 'ArrowRight') {
+    const dir = key === 'ArrowLeft' ? -1 : 1;
+    if (cell.classList.contains('topic-cell')) {
+      const visible = shownTopics();
+      const i = visible.findIndex(t => t.id === cell.dataset.topicId);
+      if (!visible[i + dir]) return;
+      moveTopic(cell.dataset.topicId, visible[i + dir].id, dir > 0);
+    } else {
+      const list = (data.entries[dk] || EMPTY_ENTRY).free;
+      const i = list.findIndex(f => f.id === cell.dataset.freeCellId);
+      if (i < 0 || !list[i + dir]) return;
+      moveFreeCell(dk, cell.dataset.freeCellId, list[i + dir].id, dir > 0);
+    }
+    const row = document.querySelector(`.day-row[data-date-key="${dk}"]`);
+    const moved = row && row.querySelector(cell.classList.contains('topic-cell')
+      ? `.topic-cell[data-topic-id="${cell.dataset.topicId}"]`
+      : `.free-cell[data-free-cell-id="${cell.dataset.freeCellId}"]`);
+    if (moved) focusGridCell(moved);
+    return;
+  }
+  const src = cellSource(cell);
+  if (!src) return;
+  const date = keyToDate(dk);
+  date.setDate(date.getDate() + (key === 'ArrowUp' ? -1 : 1));
+  const dest = transferCell(src, dateToKey(date));
+  if (dest) showTransferred(src, dest);
+}
+
+document.addEventListener('keydown', e => {
+  if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey || !/^Arrow/.test(e.key)) return;
+  const cell = e.target.closest && e.target.closest('.topic-cell, .free-cell');
+  if (!cell || e.target !== cell) return;
+  e.preventDefault();
+  moveFocusedCell(cell, e.key);
+});
 
-  // Rename
-  renameBtn.addEventListener('click', async e => {
-    e.stopPropagation();
-    const existingNames = [
-      ...data.pinnedTopics.map(t => t.name.toLowerCase()),
-      // other free cells on same day
-      ...(getEntry(dk).free || []).filter(f => f.id !== fc.id).map(f => f.name.toLowerCase())
-    ];
-    const newName = await openRenameModal(fc.name, existingNames);
-    if (!newName || newName === fc.name) return;
-    fc.name = newName;
-    const freeItem = (getEntry(dk).free || []).find(f => f.id === fc.id);
-    if (freeItem) freeItem.name = newName;
-    saveData();
-    nameSpan.textContent = newName;
-    nameSpan.title = newName;
+// ─── Command palette ─────────────────────────────────────────────────────────
+//
+// Ctrl/Cmd+K. Commands are rebuilt on every open from the current journal and
+// call the same functions as the buttons. A command with `ask` first takes a
+// line of input (e.g. a date) and hands it to `run`.
+
+const PALETTE_LIMIT = 50;
+
+let paletteCommandsList = [];
+let paletteMatches = [];
+let paletteSelected = 0;
+let palettePending = null; // command waiting for its `ask` input
+
+function paletteCommands() {
+  const cmds = [];
+  const add = (label, run, extra = {}) => cmds.push({ label, run, ...extra });
+  const topics = data.pinnedTopics.filter(t => !t.archived);
+  const shown = shownTopics();
+
+  add('Go to today', () => jumpToDate(dateToKey(new Date())), { keys: 't' });
+  add('Go to date…', dk => jumpToDate(dk), {
+    ask: 'YYYY-MM-DD, YYYY-MM, "today" or "yesterday"',
+    parse: parsePaletteDate
   });
-
-  // Delete
-  delBtn.addEventListener('click', e => {
-    e.stopPropagation();
-    if (!confirm(`Delete "${fc.name}" for this day?`)) return;
-    getEntry(dk).free = (getEntry(dk).free || []).filter(f => f.id !== fc.id);
-    saveData();
-    cell.remove();
+  add('Previous period', () => stepPeriod(-1), { keys: '[' });
+  add('Next period', () => stepPeriod(1), { keys: ']' });
+  ['week', 'month', 'year', 'timeline'].filter(v => v !== currentView).forEach(v => {
+    add(`Switch to ${v} view`, () => setView(v));
   });
 
-  return cell;
-}
+  add('Add column…', addGlobalTopic);
+  const row = shortcutRow();
+  if (row) {
+    const dk = row.dataset.dateKey;
+    add(`New free cell on ${dk}…`, () => {
+      const freeArea = row.querySelector('.free-cells-area');
+      addFreeCellToRow(dk, freeArea, freeArea.querySelector('.add-free-cell-btn'))
+        .then(el => { if (el) openGridCell(el); });
+    }, { keys: 'n' });
+    const focused = document.activeElement.closest('.topic-cell, .free-cell');
+    const focusedId = focused && (focused.dataset.topicId || focused.dataset.freeCellId);
+    const info = focusedId && historyCellInfo(dk, focusedId);
+    if (info) add(`History of "${info.name}" on ${dk}`, () => openHistoryModal(dk, focusedId), { keys: 'h' });
+    const src = focused && cellSource(focused);
+    if (src) {
+      const name = info ? info.name : focusedId;
+      [['Move', false], ['Copy', true]].forEach(([verb, copy]) => {
+        add(`${verb} "${name}" on ${dk} to date…`, toDk => {
+          const dest = transferCell(src, toDk, { copy });
+          if (dest) showTransferred(src, dest);
+        }, { ask: 'YYYY-MM-DD, "today" or "tomorrow"', parse: parsePaletteDate });
+      });
+    }
+    (data.entries[dk] || EMPTY_ENTRY).free.forEach(fc => {
+      add(`Rename free cell "${fc.name}" on ${dk}…`, () => renameFreeCell(dk, fc));
+      add(`Delete free cell "${fc.name}" on ${dk}`, () => deleteFreeCell(dk, fc));
+    });
+  }
 
-// ─── Add free cell ────────────────────────────────────────────────────────────
+  add('Merge topics…', () => openMergeModal());
+  topics.forEach(t => {
+    add(`Rename column "${t.name}"…`, () => renameTopic(t));
+    add(`Merge into "${t.name}"…`, () => openMergeModal({ targetId: t.id }));
+    add(`Split "${t.name}"…`, () => openSplitModal(t));
+    const i = shown.indexOf(t);
+    if (i > 0) add(`Move column "${t.name}" left`, () => moveTopic(t.id, shown[i - 1].id, false));
+    if (i >= 0 && i < shown.length - 1) add(`Move column "${t.name}" right`, () => moveTopic(t.id, shown[i + 1].id, true));
+    add(`Archive column "${t.name}"`, () => archiveTopic(t));
+    add(`Unpin column "${t.name}"`, () => unpinTopic(t));
+    add(`Delete column "${t.name}"`, () => deleteTopic(t));
+    add(`Change type of "${t.name}"…`, () => openTypeModal(t));
+    if (topicType(t) === 'markdown') add(`Template for "${t.name}"…`, () => openTypeModal(t, 'type-template'));
+    add(`Stats for "${t.name}"`, () => openStatsModal(t));
+    add(`Active months of "${t.name}"…`, () => openTypeModal(t, 'type-start'));
+    if (t.end) add(`Reopen column "${t.name}"`, () => setTopicEnd(t, null));
+    else add(`End column "${t.name}" after ${MONTH_NAMES[currentMonth]} ${currentYear}`, () => setTopicEnd(t, monthKey(currentYear, currentMonth)));
+  });
+  data.pinnedTopics.filter(t => t.archived).forEach(t => {
+    add(`Unarchive column "${t.name}"`, () => unarchiveTopic(t));
+  });
 
-async function addFreeCellToRow(dk, freeArea, addBtn) {
-  const entry = getEntry(dk);
-  // Existing names: pinned + free cells for this day
-  const existingNames = [
-    ...data.pinnedTopics.map(t => t.name.toLowerCase()),
-    ...(entry.free || []).map(f => f.name.toLowerCase())
-  ];
-  const name = await openRenameModal('', existingNames);
-  if (!name) return;
-  const fc = { id: uid(), name, text: '' };
-  if (!entry.free) entry.free = [];
-  entry.free.push(fc);
-  saveData();
-  const cellEl = makeFreeCell(dk, fc);
-  freeArea.insertBefore(cellEl, addBtn);
-}
+  // one entry per free-cell name; pinning gathers all cells with that name
+  const freeByName = new Map();
+  Object.keys(data.entries).sort().reverse().forEach(dk => {
+    (data.entries[dk].free || []).forEach(fc => {
+      if (!freeByName.has(fc.name.toLowerCase())) freeByName.set(fc.name.toLowerCase(), fc);
+    });
+  });
+  freeByName.forEach(fc => {
+    add(`Pin free cell "${fc.name}" as a column`, () => pinFreeCell(fc));
+    add(`Merge free cells "${fc.name}" into…`, () => openMergeModal({ names: [fc.name] }));
+  });
 
-// ─── Add global topic (via top bar button) ────────────────────────────────────
+  add('Search the journal', () => document.getElementById('search-input').focus(), { keys: '/' });
+  if (document.getElementById('search-input').value.trim()) add('Save current search as a view…', saveCurrentView);
+  data.savedViews.forEach((v, i) => add(`Run view "${v.name}"`, () => runSavedView(v), { keys: i < 9 ? `Alt+${i + 1}` : '' }));
+  add('Show saved views', openViewsPanel);
+  add('Recurring free cells…', () => openRecurringModal());
+  add('Show archive & trash', openArchivePanel);
+  if (data.trash.columns.length || data.trash.freeCells.length) add('Empty trash', () => {
+    openArchivePanel();
+    emptyTrash();
+  });
 
-async function addGlobalTopic() {
-  const existingNames = data.pinnedTopics.map(t => t.name.toLowerCase());
-  const name = await openRenameModal('', existingNames);
-  if (!name) return;
-  const topic = { id: uid(), name };
-  data.pinnedTopics.push(topic);
-  saveData();
-  render();
+  add('Undo', undo, { keys: 'Ctrl+Z' });
+  add('Redo', redo, { keys: 'Ctrl+Shift+Z' });
+  add('Export journal…', exportJournal);
+  add('Import journal…', () => document.getElementById('import-file').click());
+  add('Sync settings…', openSyncModal);
+  if (loadSyncState().endpoint) add('Sync now', syncNow);
+  add('Keyboard shortcuts', openHelp, { keys: '?' });
+  return cmds;
 }
 
-// ─── Close active cell ────────────────────────────────────────────────────────
+function parsePaletteDate(text) {
+  const s = text.trim().toLowerCase();
+  const d = new Date();
+  if (s === 'today') return dateToKey(d);
+  if (s === 'yesterday') { d.setDate(d.getDate() - 1); return dateToKey(d); }
+  if (s === 'tomorrow') { d.setDate(d.getDate() + 1); return dateToKey(d); }
+  const m = s.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+  if (!m) return null;
+  const [y, mo, day] = [Number(m[1]), Number(m[2]) - 1, m[3] ? Number(m[3]) : 1];
+  if (mo > 11 || day < 1 || day > daysInMonth(y, mo)) return null;
+  return dateKey(y, mo, day);
+}
 
-function closeActiveCell() {
-  if (activeCell && activeCell.el) {
-    // save on blur (click outside)
-    if (typeof activeCell.el._saveCell === 'function') {
-      activeCell.el._saveCell();
-    } else {
-      activeCell.el.classList.remove('active');
-      activeCell = null;
-    }
+// Subsequence match; higher is better, null when `query` doesn't fit.
+// Consecutive letters and letters at word starts score extra.
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  if (!q) return { score: 0, hits: [] };
+  const t = text.toLowerCase();
+  const hits = [];
+  let score = 0, prev = -2;
+  for (let i = 0, j = 0; j < q.length; i++) {
+    if (i >= t.length) return null;
+    if (t[i] !== q[j]) continue;
+    score += 1;
+    if (i === prev + 1) score += 3;
+    if (i === 0 || /[\s"(-]/.test(t[i - 1])) score += 2;
+    hits.push(i);
+    prev = i;
+    j++;
   }
+  return { score: score - t.length / 100, hits };
 }
 
-// ─── Archive panel ───────────────────────────────────────────────────────────
-
-function updateArchiveBtn() {
-  const btn = document.getElementById('archive-panel-btn');
-  if (!btn) return;
-  const count = data.pinnedTopics.filter(t => t.archived).length;
-  btn.dataset.count = count > 0 ? count : '';
-  btn.title = count > 0 ? `Archived columns (${count})` : 'Archive (empty)';
+function highlightHits(text, hits) {
+  const set = new Set(hits);
+  return [...text].map((ch, i) => set.has(i) ? `<b>${escHtml(ch)}</b>` : escHtml(ch)).join('');
 }
 
-function openArchivePanel() {
-  archivePanelOpen = true;
-  document.getElementById('archive-panel').classList.add('open');
-  document.getElementById('archive-panel-btn').classList.add('active');
-  renderArchivePanel();
+function openPalette() {
+  closeActiveCell();
+  palettePending = null;
+  paletteCommandsList = paletteCommands();
+  const input = document.getElementById('palette-input');
+  input.value = '';
+  input.placeholder = 'Type a command…';
+  renderPalette();
+  document.getElementById('palette-modal').classList.remove('hidden');
+  document.getElementById('overlay').classList.remove('hidden');
+  document.getElementById('overlay').onclick = closePalette;
+  input.focus();
 }
 
-function closeArchivePanel() {
-  archivePanelOpen = false;
-  document.getElementById('archive-panel').classList.remove('open');
-  document.getElementById('archive-panel-btn').classList.remove('active');
+function closePalette() {
+  document.getElementById('palette-modal').classList.add('hidden');
+  document.getElementById('overlay').classList.add('hidden');
 }
 
-function renderArchivePanel() {
-  const list = document.getElementById('archive-list');
+function renderPalette() {
+  const list = document.getElementById('palette-list');
+  const error = document.getElementById('palette-error');
+  error.classList.add('hidden');
+  if (palettePending) {
+    list.innerHTML = `<li class="palette-item selected">${escHtml(palettePending.label)}
+      <span class="palette-keys">Enter ↵</span></li>`;
+    return;
+  }
+  const query = document.getElementById('palette-input').value;
+  paletteMatches = paletteCommandsList
+    .map(cmd => ({ cmd, match: fuzzyMatch(query, cmd.label) }))
+    .filter(m => m.match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, PALETTE_LIMIT);
+  paletteSelected = Math.min(paletteSelected, Math.max(0, paletteMatches.length - 1));
   list.innerHTML = '';
-  const archived = data.pinnedTopics.filter(t => t.archived);
-  if (archived.length === 0) {
-    list.innerHTML = '<p class="archive-empty">No archived columns.</p>';
+  if (!paletteMatches.length) {
+    list.innerHTML = '<li class="palette-empty">No matching command</li>';
     return;
   }
-  archived.forEach(topic => {
-    const item = document.createElement('div');
-    item.className = 'archive-item';
-    const name = document.createElement('span');
-    name.className = 'archive-item-name';
-    name.textContent = topic.name;
-    const unarchiveBtn = document.createElement('button');
-    unarchiveBtn.className = 'archive-item-btn';
-    unarchiveBtn.title = 'Unarchive — restore to grid';
-    unarchiveBtn.textContent = '🔁';
-    unarchiveBtn.addEventListener('click', () => {
-      delete topic.archived;
-      saveData();
-      render();
-      renderArchivePanel();
+  paletteMatches.forEach(({ cmd, match }, i) => {
+    const li = document.createElement('li');
+    li.className = 'palette-item' + (i === paletteSelected ? ' selected' : '');
+    li.innerHTML = `<span>${highlightHits(cmd.label, match.hits)}</span>` +
+      (cmd.keys ? `<span class="palette-keys">${escHtml(cmd.keys)}</span>` : '');
+    li.addEventListener('mousemove', () => {
+      if (paletteSelected === i) return;
+      paletteSelected = i;
+      renderPalette();
     });
-    item.appendChild(name);
-    item.appendChild(unarchiveBtn);
-    list.appendChild(item);
+    li.addEventListener('click', () => choosePaletteCommand(cmd));
+    list.appendChild(li);
   });
+  const selected = list.querySelector('.selected');
+  if (selected) selected.scrollIntoView({ block: 'nearest' });
 }
 
-// ─── Render ───────────────────────────────────────────────────────────────────
-
-function render() {
-  buildHeaders();
-  buildRows();
-  updateMonthLabel();
-  updateSearchArchivedToggle();
-  reapplyQuery();
+function choosePaletteCommand(cmd) {
+  if (cmd.ask) {
+    palettePending = cmd;
+    const input = document.getElementById('palette-input');
+    input.value = '';
+    input.placeholder = cmd.ask;
+    renderPalette();
+    input.focus();
+    return;
+  }
+  closePalette();
+  cmd.run();
 }
 
-function updateMonthLabel() {
-  const months = ['January','February','March','April','May','June',
-                  'July','August','September','October','November','December'];
-  document.getElementById('month-label').textContent = `${months[currentMonth]} ${currentYear}`;
+function submitPendingCommand() {
+  const cmd = palettePending;
+  const value = cmd.parse(document.getElementById('palette-input').value);
+  if (value == null) {
+    const error = document.getElementById('palette-error');
+    error.textContent = `Expected ${cmd.ask}`;
+    error.classList.remove('hidden');
+    return;
+  }
+  closePalette();
+  cmd.run(value);
 }
 
-// ─── Navigation ───────────────────────────────────────────────────────────────
-
-document.getElementById('prev-month').addEventListener('click', () => {
-  currentMonth--;
-  if (currentMonth < 0) { currentMonth = 11; currentYear--; }
-  render();
-});
-document.getElementById('next-month').addEventListener('click', () => {
-  currentMonth++;
-  if (currentMonth > 11) { currentMonth = 0; currentYear++; }
-  render();
+document.getElementById('palette-input').addEventListener('input', () => {
+  paletteSelected = 0;
+  renderPalette();
 });
 
-// Close active cell when clicking outside
-document.addEventListener('click', e => {
-  if (!activeCell) return;
-  if (!activeCell.el.contains(e.target)) {
-    closeActiveCell();
+document.getElementById('palette-input').addEventListener('keydown', e => {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    if (palettePending) openPalette();
+    else closePalette();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    if (palettePending) submitPendingCommand();
+    else if (paletteMatches[paletteSelected]) choosePaletteCommand(paletteMatches[paletteSelected].cmd);
+  } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !palettePending && paletteMatches.length) {
+    e.preventDefault();
+    const n = paletteMatches.length;
+    paletteSelected = (paletteSelected + (e.key === 'ArrowDown' ? 1 : n - 1)) % n;
+    renderPalette();
   }
 });
 
-// ─── Escape key closes modal ─────────────────────────────────────────────────
-
 document.addEventListener('keydown', e => {
-  if (e.key === 'Escape') closeModal(null);
+  if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'k' || e.shiftKey || e.altKey) return;
+  e.preventDefault();
+  if (!document.getElementById('palette-modal').classList.contains('hidden')) closePalette();
+  else if (!document.querySelector('.modal:not(.hidden)')) openPalette();
 });
 
 // ─── Add topic button (now in header row) ────────────────────────────────────
@@ -671,48 +5497,286 @@ document.getElementById('archive-panel-close').addEventListener('click', closeAr
 
 // ─── Query parser ─────────────────────────────────────────────────────────────
 //
-// Syntax:  (#col with spaces) #colword keyword|alt keyword
+// Syntax (terms separated by spaces are ANDed):
+//   #col  (#col with spaces)      show only matching columns (partial names)
+//   word  "exact phrase"  /re/i   text a visible cell must contain
+//   a | b   a OR b                either side
+//   -term   NOT term              must not match
+//   ( … )                         grouping; `(#Sleep | #Mood)` is a group,
+//                                 since its inside reads as a query
+//   date:2026-01..2026-03         day in range; either end may be left out,
+//                                 each end is YYYY, YYYY-MM or YYYY-MM-DD
+//   weekday:sat,sun  weekday:weekend
+//   has:#Gym  empty:#Sleep        the day has / lacks a value in that column
 //
-// Returns: { colTerms: [string], rowTerms: [string] }
-//   colTerms — partial-match against topic/free-cell names (OR between terms
-//              means show all matched columns simultaneously)
-//   rowTerms — OR list; a row matches if any visible cell contains any term
-//              empty array = show all rows
+// Returns: { colTerms: [string], filter: AST | null, highlight: RegExp | null,
+//            error: { message, pos } | null }
+// AST nodes: and/or {items}, not {item}, text {value}, regex {re},
+//            date {from, to}, weekday {days}, has {name}
+
+const QUERY_FIELDS = ['date', 'weekday', 'has', 'empty'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+class QueryError extends Error {
+  constructor(message, pos) {
+    super(message);
+    this.pos = pos;
+  }
+}
+
+function tokenizeQuery(raw) {
+  const tokens = [];
+  let i = 0;
+  const readUntil = (close, what) => {
+    const end = raw.indexOf(close, i);
+    if (end < 0) throw new QueryError(`Missing closing ${close} for ${what}`, i - 1);
+    const text = raw.slice(i, end);
+    i = end + 1;
+    return text;
+  };
+  const readWord = () => {
+    const start = i;
+    while (i < raw.length && !/[\s()|"]/.test(raw[i])) i++;
+    return raw.slice(start, i);
+  };
+  // `(#…)` names a column with spaces unless its inside reads as a query of
+  // its own (another #, |, a quote or group, OR/AND/NOT, -term or field:)
+  const columnInParens = () => {
+    if (!raw.startsWith('(#', i)) return false;
+    const end = raw.indexOf(')', i);
+    if (end < 0) return true; // reported as a missing )
+    const inner = raw.slice(i + 2, end);
+    return !/[#|("]/.test(inner) && !/(^|\s)((OR|AND|NOT)(\s|$)|-\S)/.test(inner) &&
+      !QUERY_FIELDS.some(f => new RegExp(`(^|\\s)${f}:`, 'i').test(inner));
+  };
+  // `#name` or `(#name with spaces)`
+  const readColumn = () => {
+    if (columnInParens()) { i += 2; return readUntil(')', 'column').trim(); }
+    i++;
+    return readWord();
+  };
+
+  while (i < raw.length) {
+    const c = raw[i];
+    const pos = i;
+    if (/\s/.test(c)) { i++; continue; }
+    if (columnInParens() || c === '#') {
+      const name = readColumn();
+      if (!name) throw new QueryError('Empty column name', pos);
+      tokens.push({ type: 'col', value: name.toLowerCase(), pos });
+    } else if (c === '(' || c === ')' || c === '|') {
+      tokens.push({ type: c, pos });
+      i++;
+    } else if (c === '-' && i + 1 < raw.length && !/\s/.test(raw[i + 1])) {
+      tokens.push({ type: 'not', pos });
+      i++;
+    } else if (c === '"') {
+      i++;
+      const phrase = readUntil('"', 'phrase');
+      if (phrase.trim()) tokens.push({ type: 'text', value: phrase.toLowerCase(), pos });
+    } else if (c === '/') {
+      i++;
+      let end = i;
+      while (end < raw.length && raw[end] !== '/') end += raw[end] === '\\' ? 2 : 1;
+      if (end >= raw.length) throw new QueryError('Missing closing / for regex', pos);
+      const source = raw.slice(i, end);
+      i = end + 1;
+      const flags = readWord();
+      let re;
+      // cell texts are matched lowercased, so always case-insensitive
+      try { re = new RegExp(source, flags.includes('i') ? flags : flags + 'i'); }
+      catch (e) { throw new QueryError(`Bad regex: ${e.message}`, pos); }
+      tokens.push({ type: 'regex', re, pos });
+    } else {
+      const word = readWord();
+      if (!word) throw new QueryError(`Unexpected "${c}"`, pos);
+      const field = word.match(/^(\w+):(.*)$/);
+      if (word === 'OR') tokens.push({ type: '|', pos });
+      else if (word === 'AND') continue;
+      else if (word === 'NOT') tokens.push({ type: 'not', pos });
+      else if (field && QUERY_FIELDS.includes(field[1].toLowerCase())) {
+        let value = field[2];
+        if (!value && (columnInParens() || raw[i] === '#')) value = '#' + readColumn();
+        tokens.push({ type: 'field', field: field[1].toLowerCase(), value, pos });
+      } else {
+        tokens.push({ type: 'text', value: word.toLowerCase(), pos });
+      }
+    }
+  }
+  return tokens;
+}
+
+// "2026", "2026-03" or "2026-03-14" → first / last date key of that period
+function queryDateBound(text, end, pos) {
+  const m = text.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (!m || (m[2] && (m[2] < 1 || m[2] > 12)) || (m[3] && (m[3] < 1 || m[3] > 31))) {
+    throw new QueryError(`Bad date "${text}" (use YYYY, YYYY-MM or YYYY-MM-DD)`, pos);
+  }
+  const y = Number(m[1]);
+  const mo = m[2] ? Number(m[2]) - 1 : (end ? 11 : 0);
+  const d = m[3] ? Number(m[3]) : (end ? daysInMonth(y, mo) : 1);
+  return dateKey(y, mo, d);
+}
+
+function fieldNode(tok) {
+  const value = tok.value.trim();
+  if (!value) throw new QueryError(`Nothing after ${tok.field}:`, tok.pos);
+  if (tok.field === 'date') {
+    const [a, b] = value.includes('..') ? value.split('..') : [value, value];
+    if (!a && !b) throw new QueryError('date: needs at least one end', tok.pos);
+    return {
+      type: 'date',
+      from: a ? queryDateBound(a, false, tok.pos) : null,
+      to: b ? queryDateBound(b, true, tok.pos) : null
+    };
+  }
+  if (tok.field === 'weekday') {
+    const days = new Set();
+    value.toLowerCase().split(',').forEach(name => {
+      if (name === 'weekend') { days.add(0); days.add(6); return; }
+      if (name === 'weekday' || name === 'weekdays') { [1, 2, 3, 4, 5].forEach(d => days.add(d)); return; }
+      const i = name.length >= 2 ? WEEKDAYS.findIndex(d => d.startsWith(name)) : -1;
+      if (i < 0) throw new QueryError(`Unknown weekday "${name}"`, tok.pos);
+      days.add(i);
+    });
+    return { type: 'weekday', days };
+  }
+  // has / empty
+  if (!value.startsWith('#') || value.length < 2) {
+    throw new QueryError(`${tok.field}: takes a column, e.g. ${tok.field}:#Sleep`, tok.pos);
+  }
+  const node = { type: 'has', name: value.slice(1).trim().toLowerCase() };
+  return tok.field === 'empty' ? { type: 'not', item: node } : node;
+}
 
 function parseQuery(raw) {
   const colTerms = [];
-  let rest = raw.trim();
+  let tokens;
+  try {
+    tokens = tokenizeQuery(raw);
+  } catch (e) {
+    if (!(e instanceof QueryError)) throw e;
+    return { colTerms, filter: null, highlight: null, error: { message: e.message, pos: e.pos } };
+  }
+  let i = 0;
+  const peek = () => tokens[i];
+
+  // or := and ('|' and)* ; and := unary+ ; unary := not unary | primary
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek() && peek().type === '|') {
+      const bar = tokens[i++];
+      if (!peek() || peek().type === '|' || peek().type === ')') throw new QueryError('Nothing after |', bar.pos);
+      items.push(parseAnd());
+    }
+    // a branch of only column selectors (or `()`) matches every day
+    if (items.includes(null)) return null;
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+  function parseAnd() {
+    const items = [];
+    while (peek() && peek().type !== '|' && peek().type !== ')') {
+      const node = parseUnary();
+      if (node) items.push(node);
+    }
+    if (!items.length) return null;
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+  function parseUnary() {
+    const tok = tokens[i++];
+    if (tok.type === 'not') {
+      if (!peek() || peek().type === '|' || peek().type === ')') throw new QueryError('Nothing to negate', tok.pos);
+      if (peek().type === 'col') throw new QueryError('Column selectors can\'t be negated', peek().pos);
+      const item = parseUnary();
+      return item && { type: 'not', item };
+    }
+    if (tok.type === '(') {
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') throw new QueryError('Missing )', tok.pos);
+      i++;
+      return inner;
+    }
+    if (tok.type === ')') throw new QueryError('Unexpected )', tok.pos);
+    if (tok.type === 'col') { colTerms.push(tok.value); return null; }
+    if (tok.type === 'text') return { type: 'text', value: tok.value };
+    if (tok.type === 'regex') return { type: 'regex', re: tok.re };
+    return fieldNode(tok);
+  }
 
-  // Extract (#...) tokens first
-  rest = rest.replace(/\(#([^)]*)\)/g, (_, name) => {
-    const t = name.trim();
-    if (t) colTerms.push(t.toLowerCase());
-    return ' ';
-  });
+  try {
+    if (tokens.length && tokens[0].type === '|') throw new QueryError('Nothing before |', tokens[0].pos);
+    const filter = parseOr();
+    if (peek()) throw new QueryError('Unexpected )', peek().pos);
+    return { colTerms, filter, highlight: queryHighlight(filter), error: null };
+  } catch (e) {
+    if (!(e instanceof QueryError)) throw e;
+    return { colTerms, filter: null, highlight: null, error: { message: e.message, pos: e.pos } };
+  }
+}
 
-  // Extract #word tokens (terminated by space or end)
-  rest = rest.replace(/#(\S+)/g, (_, name) => {
-    colTerms.push(name.toLowerCase());
-    return ' ';
-  });
+// One case-insensitive pattern for every non-negated text/regex term
+function queryHighlight(node) {
+  const sources = [];
+  (function walk(n) {
+    if (!n || n.type === 'not') return;
+    if (n.type === 'text') sources.push(n.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (n.type === 'regex') sources.push(n.re.source);
+    (n.items || []).forEach(walk);
+  })(node);
+  return sources.length ? new RegExp(sources.join('|'), 'gi') : null;
+}
 
-  // Remainder is row filter
-  const rowRaw = rest.trim();
-  const rowTerms = rowRaw
-    ? rowRaw.split('|').map(t => t.trim().toLowerCase()).filter(Boolean)
-    : [];
+// ctx: { dk, entry, texts: [lowercased cell text] }
+function evalQuery(node, ctx) {
+  switch (node.type) {
+    case 'and':  return node.items.every(n => evalQuery(n, ctx));
+    case 'or':   return node.items.some(n => evalQuery(n, ctx));
+    case 'not':  return !evalQuery(node.item, ctx);
+    case 'text': return ctx.texts.some(t => t.includes(node.value));
+    case 'regex':
+      return ctx.texts.some(t => { node.re.lastIndex = 0; return node.re.test(t); });
+    case 'date':
+      return (!node.from || ctx.dk >= node.from) && (!node.to || ctx.dk <= node.to);
+    case 'weekday':
+      return node.days.has(keyToDate(ctx.dk).getDay());
+    case 'has': {
+      const entry = ctx.entry;
+      if (!entry) return false;
+      return data.pinnedTopics.some(t => t.name.toLowerCase().includes(node.name) &&
+          !isEmptyValue(entry.pinned && entry.pinned[t.id])) ||
+        (entry.free || []).some(fc => fc.name.toLowerCase().includes(node.name) && fc.text);
+    }
+  }
+  return true;
+}
 
-  return { colTerms, rowTerms };
+// Texts of the cells a day shows for the query's columns (archived and
+// inactive ones only when the search includes them)
+function queryRowTexts(dk, colTerms) {
+  const entry = data.entries[dk];
+  if (!entry) return [];
+  const nameMatches = name => !colTerms.length || colTerms.some(t => name.toLowerCase().includes(t));
+  const texts = [];
+  data.pinnedTopics.forEach(topic => {
+    if ((!topicShownOn(topic, dk) && !searchIncludesArchived) || !nameMatches(topic.name)) return;
+    const text = formatCellValue(topic, entry.pinned && entry.pinned[topic.id]);
+    if (text) texts.push(text.toLowerCase());
+  });
+  (entry.free || []).forEach(fc => {
+    if (fc.text && nameMatches(fc.name)) texts.push(fc.text.toLowerCase());
+  });
+  return texts;
 }
 
 // ─── Query filter ─────────────────────────────────────────────────────────────
 
 function updateSearchArchivedToggle() {
   const wrap = document.getElementById('search-wrap');
-  const hasArchived = data.pinnedTopics.some(t => t.archived);
+  const shown = shownTopics();
+  const hasArchived = data.pinnedTopics.some(t => !shown.includes(t));
   wrap.classList.toggle('has-archived', hasArchived);
   if (!hasArchived && searchIncludesArchived) {
-    // no archived columns left, reset toggle
+    // no archived or inactive columns left, reset toggle
     searchIncludesArchived = false;
     document.getElementById('search-archived-toggle').classList.remove('active');
   }
@@ -732,9 +5796,9 @@ function applyQuery(raw) {
     el.classList.remove('col-hidden', 'row-hidden');
   });
 
-  if (!hasQuery) return;
-
-  const { colTerms, rowTerms } = hasQuery ? parseQuery(raw) : { colTerms: [], rowTerms: [] };
+  const { colTerms, filter, error } = hasQuery ? parseQuery(raw) : { colTerms: [], filter: null, error: null };
+  showQueryError(error);
+  if (!hasQuery || error) return;
   const hasColFilter = colTerms.length > 0;
 
   // ── Active column visibility (only when there are col terms) ──
@@ -755,9 +5819,10 @@ function applyQuery(raw) {
     });
   }
 
-  // ── Ghost archived columns (when toggle on) ──
+  // ── Ghost archived and inactive columns (when toggle on) ──
   if (searchIncludesArchived && hasQuery) {
-    const archived = data.pinnedTopics.filter(t => t.archived);
+    const shown = shownTopics();
+    const archived = data.pinnedTopics.filter(t => !shown.includes(t));
     // With col filter: only matching archived cols; without: all archived cols
     const toShow = hasColFilter
       ? archived.filter(topic => colTerms.some(t => topic.name.toLowerCase().includes(t)))
@@ -780,14 +5845,15 @@ function applyQuery(raw) {
           const dk = row.dataset.dateKey;
           const entry = data.entries[dk] || { pinned: {}, free: [] };
           const freeArea = row.querySelector('.free-cells-area');
-          const text = (entry.pinned && entry.pinned[topic.id]) || '';
+          const text = formatCellValue(topic, entry.pinned && entry.pinned[topic.id]);
           const ghostCell = document.createElement('div');
           ghostCell.className = 'topic-cell archived-ghost';
           ghostCell.dataset.topicId = topic.id;
           const preview = document.createElement('div');
           preview.className = text ? 'cell-preview' : 'cell-preview empty-hint';
-          if (text) preview.innerHTML = renderMd(text);
-          else preview.textContent = '…';
+          if (!text) preview.textContent = '…';
+          else if (topicType(topic) === 'markdown') preview.innerHTML = renderMd(text);
+          else preview.textContent = text;
           ghostCell.appendChild(preview);
           row.insertBefore(ghostCell, freeArea);
         });
@@ -795,32 +5861,47 @@ function applyQuery(raw) {
     }
   }
 
-  // ── Row visibility (row terms filter) ──
-  if (rowTerms.length === 0) return;
+  // ── Row visibility (filter expression) ──
+  if (!filter) return;
 
   document.querySelectorAll('.day-row').forEach(row => {
-    // Include ghost cells in row text matching
-    const cells = [
-      ...row.querySelectorAll('.topic-cell:not(.col-hidden) .cell-preview'),
-      ...row.querySelectorAll('.free-cell:not(.col-hidden) .cell-preview'),
-      ...row.querySelectorAll('.topic-cell.archived-ghost .cell-preview'),
-    ];
-    const allText = cells.map(el => el.textContent.toLowerCase()).join(' ');
-    const matches = rowTerms.some(term => allText.includes(term));
-    row.classList.toggle('row-hidden', !matches);
+    const dk = row.dataset.dateKey;
+    const ctx = { dk, entry: data.entries[dk], texts: queryRowTexts(dk, colTerms) };
+    row.classList.toggle('row-hidden', !evalQuery(filter, ctx));
   });
 }
 
+function showQueryError(error) {
+  const wrap = document.getElementById('search-wrap');
+  const el = document.getElementById('search-error');
+  wrap.classList.toggle('query-error', !!error);
+  el.classList.toggle('hidden', !error);
+  el.textContent = error ? `${error.message} (at ${error.pos + 1})` : '';
+}
+
 // ─── Search input wiring ──────────────────────────────────────────────────────
 
 document.getElementById('search-input').addEventListener('input', e => {
   applyQuery(e.target.value);
+  searchPanelDismissed = false;
+  scheduleSearchResults();
+  if (viewsPanelOpen) renderViewsPanel();
+  updateRoute();
+});
+
+document.getElementById('search-input').addEventListener('focus', () => {
+  if (searchPanelDismissed) {
+    searchPanelDismissed = false;
+    renderSearchResults();
+  }
 });
 
 document.getElementById('search-clear').addEventListener('click', () => {
   const input = document.getElementById('search-input');
   input.value = '';
   applyQuery('');
+  renderSearchResults();
+  updateRoute();
   input.focus();
 });
 
@@ -828,14 +5909,263 @@ document.getElementById('search-archived-toggle').addEventListener('click', () =
   searchIncludesArchived = !searchIncludesArchived;
   document.getElementById('search-archived-toggle').classList.toggle('active', searchIncludesArchived);
   applyQuery(document.getElementById('search-input').value);
+  renderSearchResults();
+  if (viewsPanelOpen) renderViewsPanel();
+  updateRoute();
 });
 
 // Re-apply current query after render (month nav, etc.)
 function reapplyQuery() {
   const val = document.getElementById('search-input').value;
-  if (val.trim()) applyQuery(val);
+  if (val.trim()) {
+    applyQuery(val);
+    scheduleSearchResults();
+  }
+}
+
+// ─── Search results panel ────────────────────────────────────────────────────
+//
+// The grid filter above only sees the rows on screen; this lists every
+// matching cell in data.entries, newest first, grouped by month. Same query
+// syntax: #col terms pick the columns (all when absent), row terms must appear
+// in the cell itself.
+
+const SEARCH_RESULT_LIMIT = 300;
+const SEARCH_DEBOUNCE = 150;
+
+let searchPanelDismissed = false;
+let searchTimer = null;
+
+// Cells matching the query, each judged on its own text (date and column
+// predicates still look at the whole day).
+// → { results: [{ dk, kind:'pinned'|'free', id, name, text }] newest first, highlight, error }
+function searchJournal(raw) {
+  const { colTerms, filter, highlight, error } = parseQuery(raw);
+  if (error) return { results: [], highlight, error };
+  const nameMatches = name => !colTerms.length || colTerms.some(t => name.toLowerCase().includes(t));
+  const topics = data.pinnedTopics.filter(t => (!t.archived || searchIncludesArchived) && nameMatches(t.name));
+
+  const results = [];
+  Object.keys(data.entries).sort().reverse().forEach(dk => {
+    const entry = data.entries[dk];
+    const matches = text => !filter || evalQuery(filter, { dk, entry, texts: [text.toLowerCase()] });
+    topics.forEach(topic => {
+      const text = formatCellValue(topic, entry.pinned && entry.pinned[topic.id]);
+      if (text && matches(text)) results.push({ dk, kind: 'pinned', id: topic.id, name: topic.name, text });
+    });
+    (entry.free || []).forEach(fc => {
+      if (fc.text && nameMatches(fc.name) && matches(fc.text)) {
+        results.push({ dk, kind: 'free', id: fc.id, name: fc.name, text: fc.text });
+      }
+    });
+  });
+  return { results, highlight, error: null };
+}
+
+// Escaped excerpt around the first hit of `pattern`, every hit in <mark>
+function highlightSnippet(text, pattern, radius = 50) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  let first = 0;
+  if (pattern) {
+    pattern.lastIndex = 0;
+    const hit = pattern.exec(flat);
+    if (hit) first = hit.index;
+  }
+  const start = Math.max(0, first - radius);
+  const end = Math.min(flat.length, start + radius * 2 + 20);
+  const excerpt = flat.slice(start, end);
+  const wrap = html => (start ? '…' : '') + html + (end < flat.length ? '…' : '');
+  if (!pattern) return wrap(escHtml(excerpt));
+
+  let html = '', last = 0;
+  excerpt.replace(pattern, (m, ...rest) => {
+    const offset = rest[rest.length - 2];
+    if (!m) return m;
+    html += escHtml(excerpt.slice(last, offset)) + `<mark>${escHtml(m)}</mark>`;
+    last = offset + m.length;
+    return m;
+  });
+  html += escHtml(excerpt.slice(last));
+  return wrap(html);
+}
+
+function renderSearchResults() {
+  const raw = document.getElementById('search-input').value;
+  const panel = document.getElementById('search-panel');
+  const open = raw.trim().length > 0 && !searchPanelDismissed;
+  panel.classList.toggle('open', open);
+  if (!open) return;
+
+  const { results, highlight, error } = searchJournal(raw);
+  document.getElementById('search-panel-count').textContent =
+    error ? '' : `${results.length} match${results.length === 1 ? '' : 'es'}`;
+  const list = document.getElementById('search-results');
+  list.innerHTML = '';
+  if (error) {
+    list.innerHTML = `<p class="archive-empty search-error-note">${escHtml(error.message)}</p>`;
+    return;
+  }
+  if (!results.length) {
+    list.innerHTML = '<p class="archive-empty">Nothing in the journal matches.</p>';
+    return;
+  }
+
+  let month = null;
+  results.slice(0, SEARCH_RESULT_LIMIT).forEach(r => {
+    const date = keyToDate(r.dk);
+    const monthLabel = `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`;
+    if (monthLabel !== month) {
+      month = monthLabel;
+      const head = document.createElement('div');
+      head.className = 'search-month';
+      head.textContent = monthLabel;
+      list.appendChild(head);
+    }
+    const item = document.createElement('button');
+    item.className = 'search-result';
+    item.innerHTML = `
+      <span class="search-result-meta">
+        <span class="search-result-date">${date.getDate()} ${dayName(date.getFullYear(), date.getMonth(), date.getDate())}</span>
+        <span class="search-result-topic${r.kind === 'free' ? ' free' : ''}">${escHtml(r.name)}</span>
+      </span>
+      <span class="search-result-text">${highlightSnippet(r.text, highlight)}</span>`;
+    item.addEventListener('click', () => jumpToDate(r.dk));
+    list.appendChild(item);
+  });
+  if (results.length > SEARCH_RESULT_LIMIT) {
+    const more = document.createElement('p');
+    more.className = 'archive-empty';
+    more.textContent = `Showing the newest ${SEARCH_RESULT_LIMIT}. Narrow the search to see older matches.`;
+    list.appendChild(more);
+  }
+}
+
+function scheduleSearchResults() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(renderSearchResults, SEARCH_DEBOUNCE);
+}
+
+document.getElementById('search-panel-close').addEventListener('click', () => {
+  searchPanelDismissed = true;
+  renderSearchResults();
+});
+
+// ─── Saved views ─────────────────────────────────────────────────────────────
+//
+// A view is a named search: the query text plus the archived-columns toggle,
+// stored in data.savedViews. Alt+1…9 runs the first nine.
+
+let viewsPanelOpen = false;
+
+function openViewsPanel() {
+  viewsPanelOpen = true;
+  document.getElementById('views-panel').classList.add('open');
+  document.getElementById('views-btn').classList.add('active');
+  renderViewsPanel();
+}
+
+function closeViewsPanel() {
+  viewsPanelOpen = false;
+  document.getElementById('views-panel').classList.remove('open');
+  document.getElementById('views-btn').classList.remove('active');
+}
+
+function renderViewsPanel() {
+  const query = document.getElementById('search-input').value.trim();
+  document.getElementById('views-save-btn').disabled = !query;
+  const list = document.getElementById('views-list');
+  list.innerHTML = '';
+  if (!data.savedViews.length) {
+    list.innerHTML = '<p class="archive-empty">No saved views. Type a search, then save it here.</p>';
+    return;
+  }
+  data.savedViews.forEach((view, i) => {
+    const item = document.createElement('div');
+    item.className = 'view-item';
+    if (view.query === query && view.includeArchived === searchIncludesArchived) item.classList.add('current');
+    item.innerHTML = `
+      <button class="view-run" title="Run this view${i < 9 ? ` (Alt+${i + 1})` : ''}">
+        <span class="view-name">${escHtml(view.name)}</span>
+        <span class="view-query">${escHtml(view.query)}${view.includeArchived ? ' 🙈' : ''}</span>
+      </button>
+      ${i < 9 ? `<span class="view-key">⌥${i + 1}</span>` : ''}
+      <button class="archive-item-btn view-rename" title="Rename">✎</button>
+      <button class="archive-item-btn view-delete" title="Delete view">✕</button>
+    `;
+    item.querySelector('.view-run').addEventListener('click', () => runSavedView(view));
+    item.querySelector('.view-rename').addEventListener('click', () => renameSavedView(view));
+    item.querySelector('.view-delete').addEventListener('click', () => deleteSavedView(view));
+    list.appendChild(item);
+  });
+}
+
+function runSavedView(view) {
+  const input = document.getElementById('search-input');
+  input.value = view.query;
+  searchIncludesArchived = view.includeArchived;
+  document.getElementById('search-archived-toggle').classList.toggle('active', searchIncludesArchived);
+  searchPanelDismissed = false;
+  applyQuery(view.query);
+  renderSearchResults();
+  if (viewsPanelOpen) renderViewsPanel();
+  updateRoute();
+}
+
+async function saveCurrentView() {
+  const query = document.getElementById('search-input').value.trim();
+  if (!query) return;
+  const name = await openRenameModal(query.slice(0, 40), data.savedViews.map(v => v.name.toLowerCase()), {
+    title: 'Name this view',
+    placeholder: 'View name…',
+    duplicate: 'A view with that name already exists.'
+  });
+  if (!name) return;
+  mutate(`Saved view "${name}"`, [], () => {
+    data.savedViews.push({ id: uid(), name, query, includeArchived: searchIncludesArchived });
+  });
+  if (!viewsPanelOpen) openViewsPanel();
+  else renderViewsPanel();
+}
+
+async function renameSavedView(view) {
+  const others = data.savedViews.filter(v => v.id !== view.id).map(v => v.name.toLowerCase());
+  const name = await openRenameModal(view.name, others, {
+    title: 'Rename view',
+    placeholder: 'View name…',
+    duplicate: 'A view with that name already exists.'
+  });
+  if (!name || name === view.name) return;
+  mutate(`View "${view.name}" renamed to "${name}"`, [], () => {
+    data.savedViews.find(v => v.id === view.id).name = name;
+  });
+  renderViewsPanel();
+}
+
+function deleteSavedView(view) {
+  mutate(`Deleted view "${view.name}"`, [], () => {
+    data.savedViews = data.savedViews.filter(v => v.id !== view.id);
+  }, { toast: true });
+  renderViewsPanel();
 }
 
+document.getElementById('views-btn').addEventListener('click', () => {
+  if (viewsPanelOpen) closeViewsPanel();
+  else openViewsPanel();
+});
+document.getElementById('views-panel-close').addEventListener('click', closeViewsPanel);
+document.getElementById('views-save-btn').addEventListener('click', saveCurrentView);
+document.getElementById('search-save').addEventListener('click', saveCurrentView);
+
+document.addEventListener('keydown', e => {
+  if (!e.altKey || e.ctrlKey || e.metaKey || isTextEditing(e.target)) return;
+  // e.code, since Alt+digit types a symbol on some layouts
+  const m = e.code.match(/^Digit([1-9])$/);
+  const view = m && data.savedViews[Number(m[1]) - 1];
+  if (!view) return;
+  e.preventDefault();
+  runSavedView(view);
+});
+
 // ─── Utility ──────────────────────────────────────────────────────────────────
 
 function escHtml(str) {
@@ -844,22 +6174,226 @@ function escHtml(str) {
 
 function renderMd(text) {
   if (!text) return '';
-  // marked is loaded from CDN
-  return marked.parse(text, { breaks: true, gfm: true });
+  // marked is vendored in vendor/; its HTML passes through the sanitiser
+  return sanitizeHtml(marked.parse(text, { breaks: true, gfm: true }));
 }
 
-// ─── Init ────────────────────────────────────────────────────────────────────
+// ─── HTML sanitiser ──────────────────────────────────────────────────────────
+//
+// Markdown may carry raw HTML (typed, pasted, imported or synced), so rendered
+// output is rebuilt from an allow-list: unknown elements are unwrapped to their
+// text, dangerous ones dropped with their content, and only the listed
+// attributes survive, with URLs limited to safe schemes.
+
+const SANITIZE_TAGS = new Set([
+  'a', 'b', 'blockquote', 'br', 'code', 'del', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'i', 'img', 'input', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 's', 'span', 'strong',
+  'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+const SANITIZE_DROP = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template',
+  'noscript', 'svg', 'math', 'form', 'textarea', 'select', 'button', 'link', 'meta', 'base',
+  'title', 'audio', 'video', 'source', 'track', 'canvas', 'portal'
+]);
+const SANITIZE_ATTRS = {
+  a: ['href', 'title', 'class'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  input: ['type', 'checked', 'disabled'],
+  ol: ['start'],
+  td: ['align'],
+  th: ['align'],
+  code: ['class']
+};
+const SAFE_URL = /^(?:https?:|mailto:|#|\/|\.{0,2}\/|[^:/?#]*(?:[/?#]|$))/i;
+
+function sanitizeHtml(html) {
+  const tpl = document.createElement('template');
+  tpl.innerHTML = html;
+  sanitizeChildren(tpl.content);
+  return tpl.innerHTML;
+}
+
+function sanitizeChildren(parent) {
+  [...parent.childNodes].forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) { node.remove(); return; }
+    const tag = node.localName;
+    if (SANITIZE_DROP.has(tag)) { node.remove(); return; }
+    sanitizeChildren(node);
+    if (!SANITIZE_TAGS.has(tag)) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+    const allowed = SANITIZE_ATTRS[tag] || [];
+    [...node.attributes].forEach(attr => {
+      const name = attr.name.toLowerCase();
+      const value = attr.value.trim();
+      const ok = allowed.includes(name) &&
+        (name !== 'href' && name !== 'src' || SAFE_URL.test(value.replace(/[\u0000- ]/g, ''))) &&
+        (name !== 'class' || (tag === 'a' ? /^wiki-link( missing)?$/ : /^language-[\w-]+$/).test(value)) &&
+        (name !== 'type' || value === 'checkbox');
+      if (!ok) node.removeAttribute(attr.name);
+    });
+    if (tag === 'input') {
+      // only GFM task-list boxes, and never editable
+      if (node.getAttribute('type') !== 'checkbox') { node.remove(); return; }
+      node.setAttribute('disabled', '');
+    }
+    if (tag === 'a') node.setAttribute('rel', 'noopener noreferrer');
+  });
+}
+
+// ─── URL routing ─────────────────────────────────────────────────────────────
+//
+// The hash mirrors what's on screen so it can be bookmarked or shared:
+//   #/2026-03   month    #/2026   year    #/week/2026-03-09   week
+//   #/timeline/2026-03     timeline scrolled to that month
+//   ?q=…&a=0               search query (+ archived columns left out)
+//   &cols=id,id            expanded columns
+//   &d=2026-03-14&t=id     focused day, optionally its open cell (f=id for a free cell)
+//   &c=name                cell of the focused day to highlight (wiki links)
+// Moving between periods pushes a history entry; everything else replaces it.
+
+let appliedRoute = null;
+
+function routeHash() {
+  let path = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}`;
+  if (currentView === 'year') path = String(currentYear);
+  if (currentView === 'week') path = `week/${weekStart}`;
+  if (currentView === 'timeline') path = `timeline/${path}`;
+
+  const params = new URLSearchParams();
+  const query = document.getElementById('search-input').value.trim();
+  if (query) {
+    params.set('q', query);
+    if (!searchIncludesArchived) params.set('a', '0');
+  }
+  const cols = [...expandedColumns].filter(id => data.pinnedTopics.some(t => t.id === id));
+  if (cols.length) params.set('cols', cols.join(','));
+  if (activeCell) {
+    params.set('d', activeCell.dateKey);
+    if (activeCell.type === 'pinned') params.set('t', activeCell.topicId);
+    else params.set('f', activeCell.freeCellId);
+  }
+  const search = params.toString();
+  return `#/${path}${search ? '?' + search : ''}`;
+}
+
+function updateRoute(push = false) {
+  const hash = routeHash();
+  if (hash === location.hash) return;
+  history[push ? 'pushState' : 'replaceState'](null, '', hash);
+  appliedRoute = hash;
+}
 
-function init() {
-  loadData();
+// Show what the current hash describes (today's month when it has none)
+function applyRoute() {
+  appliedRoute = location.hash;
+  const [, path = '', search = ''] = location.hash.match(/^#\/?([^?]*)\??(.*)$/) || [];
+  const params = new URLSearchParams(search);
   const now = new Date();
+
+  closeActiveCell();
+  currentView = 'month';
   currentYear = now.getFullYear();
   currentMonth = now.getMonth();
-  render();
+  let m;
+  if ((m = path.match(/^(timeline\/)?(\d{4})-(\d{2})$/)) && m[3] >= 1 && m[3] <= 12) {
+    if (m[1]) currentView = 'timeline';
+    currentYear = Number(m[2]);
+    currentMonth = Number(m[3]) - 1;
+  } else if (path === 'timeline') {
+    currentView = 'timeline';
+  } else if ((m = path.match(/^(\d{4})-(\d{2})$/)) && m[2] >= 1 && m[2] <= 12) {
+    currentYear = Number(m[1]);
+    currentMonth = Number(m[2]) - 1;
+  } else if ((m = path.match(/^(\d{4})$/))) {
+    currentView = 'year';
+    currentYear = Number(m[1]);
+  } else if ((m = path.match(/^week\/(\d{4}-\d{2}-\d{2})$/)) && !isNaN(keyToDate(m[1]))) {
+    currentView = 'week';
+    weekStart = mondayOf(keyToDate(m[1]));
+    const mid = keyToDate(weekStart);
+    mid.setDate(mid.getDate() + 3);
+    currentYear = mid.getFullYear();
+    currentMonth = mid.getMonth();
+  }
+
+  // A focused day outside the shown period wins over the path
+  const focus = /^\d{4}-\d{2}-\d{2}$/.test(params.get('d') || '') ? params.get('d') : null;
+  if (focus && currentView !== 'year' && !visibleDateKeys().includes(focus)) {
+    if (currentView === 'week') currentView = 'month';
+    currentYear = keyToDate(focus).getFullYear();
+    currentMonth = keyToDate(focus).getMonth();
+  }
+
+  const input = document.getElementById('search-input');
+  input.value = params.get('q') || '';
+  searchIncludesArchived = params.get('a') !== '0';
   document.getElementById('search-archived-toggle').classList.toggle('active', searchIncludesArchived);
+  expandedColumns = new Set((params.get('cols') || '').split(',').filter(id => data.pinnedTopics.some(t => t.id === id)));
+
+  // a fresh timeline around the route's month rather than the old scroll spot
+  timelineMonths = [];
+  render();
+  applyQuery(input.value);
+  renderSearchResults();
+
+  if (focus && currentView !== 'year') {
+    const row = currentView === 'timeline'
+      ? scrollTimelineTo(currentYear, currentMonth, focus)
+      : document.querySelector(`.day-row[data-date-key="${focus}"]`);
+    if (row) {
+      row.scrollIntoView({ block: 'center' });
+      const cell = [...row.querySelectorAll('.topic-cell:not(.typed-cell), .free-cell')].find(el =>
+        (params.get('t') && el.dataset.topicId === params.get('t')) ||
+        (params.get('f') && el.dataset.freeCellId === params.get('f')));
+      if (cell) (cell.querySelector('.cell-preview') || cell).click();
+      const linked = !cell && params.get('c') && resolveWikiLink(focus, params.get('c'));
+      if (linked) highlightLinkedCell(linked);
+    }
+  }
+  return !!focus;
+}
+
+function onRouteChange() {
+  if (location.hash !== appliedRoute) applyRoute();
+}
+
+window.addEventListener('popstate', onRouteChange);
+window.addEventListener('hashchange', onRouteChange);
+
+// ─── Init ────────────────────────────────────────────────────────────────────
+
+async function init() {
+  // held until the tab closes, so other tabs leave this one's drafts alone
+  if (navigator.locks) navigator.locks.request(`gridjournal-tab-${TAB_ID}`, () => new Promise(() => {}));
+  await loadData();
+  purgeTrash();
+  purgeRevisions();
+  offerDraftRecovery();
+  const focused = applyRoute();
+  if (tabChannel) {
+    tabChannel.onmessage = e => {
+      const msg = e.data || {};
+      if (msg.type === 'changes') applyRemoteChanges(msg.changes);
+      if (msg.type === 'sync-now' && syncLeader) syncNow();
+      if (msg.type === 'sync-status' && !syncLeader) {
+        syncStatus = msg.status;
+        renderSyncStatus();
+      }
+    };
+  }
+  startSync();
+
+  // Offline support (needs http(s); opened from disk it simply isn't there)
+  if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+    // without it the app still works, just not offline
+    navigator.serviceWorker.register('sw.js').catch(() => {});
+  }
 
-  // Scroll to today
-  requestAnimationFrame(() => {
+  // Scroll to today, unless the URL named a day
+  if (!focused) requestAnimationFrame(() => {
     const today = document.querySelector('.day-row.today');
     if (today) today.scrollIntoView({ block: 'center', behavior: 'smooth' });
   });
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Grid Journal — reference sync server
+ *
+ * Stores one journal as a set of revisioned records in a local JSON file.
+ * No dependencies; see server/README.md for the protocol.
+ *
+ *   node server/sync-server.js [--port 8787] [--file ./journal-sync.json] [--token secret]
+ *
+ * File format:
+ * {
+ *   rev: 12,                                    // last revision handed out
+ *   records: { key: { rev, value } | { rev, deleted: true } }
+ * }
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Largest request body accepted (a first push carries the whole journal)
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+// ─── Options ─────────────────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const opts = {
+    port: Number(process.env.PORT) || 8787,
+    file: process.env.JOURNAL_FILE || path.join(process.cwd(), 'journal-sync.json'),
+    token: process.env.JOURNAL_TOKEN || ''
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') opts.port = Number(argv[++i]);
+    else if (arg === '--file') opts.file = path.resolve(argv[++i]);
+    else if (arg === '--token') opts.token = argv[++i];
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return opts;
+}
+
+// ─── Store ───────────────────────────────────────────────────────────────────
+
+function loadStore(file) {
+  if (!fs.existsSync(file)) return { rev: 0, records: {} };
+  const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (typeof store.rev !== 'number' || !store.records) throw new Error(`${file} is not a journal sync file`);
+  return store;
+}
+
+// Write to a temp file first so a crash never leaves a half-written store
+function saveStore(file, store) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store));
+  fs.renameSync(tmp, file);
+}
+
+function recordOut(key, rec) {
+  return rec.deleted ? { key, rev: rec.rev, deleted: true } : { key, rev: rec.rev, value: rec.value };
+}
+
+// Records newer than `since`, oldest first, skipping keys in `exclude`
+function changesSince(store, since, exclude = new Set()) {
+  return Object.keys(store.records)
+    .filter(key => store.records[key].rev > since && !exclude.has(key))
+    .map(key => recordOut(key, store.records[key]))
+    .sort((a, b) => a.rev - b.rev);
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Apply a push. A change whose baseRev is older than the stored record is a
+// conflict: it is not applied and the stored record is returned instead.
+// The whole batch is checked first, so a bad change leaves the store untouched.
+function applyChanges(store, changes) {
+  changes.forEach((change, i) => {
+    if (!change || typeof change !== 'object') throw badRequest(`change ${i} is not an object`);
+    if (typeof change.key !== 'string' || !change.key) throw badRequest(`change ${i} needs a key`);
+    if (change.baseRev !== undefined && !(Number.isInteger(change.baseRev) && change.baseRev >= 0)) {
+      throw badRequest(`change ${i} has a bad baseRev`);
+    }
+    if (!change.deleted && change.value === undefined) throw badRequest(`change ${i} needs a value or deleted: true`);
+  });
+  const applied = [];
+  const conflicts = [];
+  changes.forEach(change => {
+    const current = store.records[change.key];
+    if (current && current.rev > (change.baseRev || 0)) {
+      conflicts.push(recordOut(change.key, current));
+      return;
+    }
+    const rev = ++store.rev;
+    store.records[change.key] = change.deleted ? { rev, deleted: true } : { rev, value: change.value };
+    applied.push({ key: change.key, rev });
+  });
+  return { applied, conflicts };
+}
+
+// Apply a push to a copy of the store and write it; memory only moves on
+// once the file holds the same, so a failed write leaves both as they were
+function commitChanges(file, store, changes) {
+  const next = { rev: store.rev, records: Object.assign({}, store.records) };
+  const result = applyChanges(next, changes);
+  if (result.applied.length) {
+    saveStore(file, next);
+    store.rev = next.rev;
+    store.records = next.records;
+  }
+  return result;
+}
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    let size = 0;
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      size += Buffer.byteLength(chunk);
+      if (size > MAX_BODY_BYTES) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(Object.assign(new Error('Body is too large'), { status: 413 }));
+        return;
+      }
+      raw += chunk;
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return;
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (_) {
+        reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function createServer({ file, token }) {
+  const store = loadStore(file);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (url.pathname !== '/journal') return send(res, 404, { error: 'Not found' });
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return send(res, 401, { error: 'Missing or wrong token' });
+    }
+
+    try {
+      if (req.method === 'GET') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        return send(res, 200, { rev: store.rev, records: changesSince(store, since) });
+      }
+      if (req.method === 'POST') {
+        const body = await readBody(req);
+        const since = Number(body.since) || 0;
+        const changes = Array.isArray(body.changes) ? body.changes : [];
+        const { applied, conflicts } = commitChanges(file, store, changes);
+        const mine = new Set(applied.map(a => a.key));
+        return send(res, 200, { rev: store.rev, applied, conflicts, records: changesSince(store, since, mine) });
+      }
+      send(res, 405, { error: 'Method not allowed' });
+    } catch (err) {
+      send(res, err.status || 500, { error: err.message });
+    }
+  });
+}
+
+module.exports = { createServer, applyChanges, changesSince };
+
+if (require.main === module) {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log('Usage: node server/sync-server.js [--port 8787] [--file ./journal-sync.json] [--token secret]');
+    process.exit(0);
+  }
+  createServer(opts).listen(opts.port, () => {
+    console.log(`Grid Journal sync server on http://localhost:${opts.port}/journal (${opts.file})`);
+  });
+}
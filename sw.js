@@ -0,0 +1,77 @@
+/**
+ * Grid Journal — service worker
+ *
+ * Keeps the app shell (page, script, styles, vendored libraries and fonts)
+ * in a cache so the journal opens offline. Shell files are served from the
+ * cache and refreshed in the background, so a new version shows up on the
+ * next load. Bump CACHE when the file list changes.
+ *
+ * Only same-origin GETs for shell files are handled; the journal itself lives
+ * in IndexedDB and sync requests go straight to the network.
+ */
+
+const CACHE = 'gridjournal-shell-v1';
+
+const SHELL = [
+  'index.html',
+  'app.js',
+  'style.css',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'vendor/marked.min.js',
+  'vendor/fonts/lora-latin-400-normal.woff2',
+  'vendor/fonts/lora-latin-400-italic.woff2',
+  'vendor/fonts/lora-latin-600-normal.woff2',
+  'vendor/fonts/jetbrains-mono-latin-300-normal.woff2',
+  'vendor/fonts/jetbrains-mono-latin-400-normal.woff2',
+  'vendor/fonts/jetbrains-mono-latin-500-normal.woff2'
+];
+
+const SCOPE = self.registration.scope;
+const INDEX = new URL('index.html', SCOPE).href;
+const SHELL_URLS = new Set(SHELL.map(path => new URL(path, SCOPE).href));
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('gridjournal-') && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  url.search = '';
+  url.hash = '';
+  // the bare directory URL is the page too
+  const key = url.href === SCOPE ? INDEX : url.href;
+  if (!SHELL_URLS.has(key)) return;
+
+  event.respondWith(
+    caches.open(CACHE).then(async cache => {
+      const cached = await cache.match(key);
+      const refresh = fetch(request)
+        .then(response => {
+          if (response.ok) cache.put(key, response.clone());
+          return response;
+        })
+        .catch(() => null);
+      if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+      }
+      return (await refresh) || new Response('Offline', { status: 503, statusText: 'Offline' });
+    })
+  );
+});
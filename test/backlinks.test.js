@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('the backlink index survives plain saves and is rebuilt after edits', async () => {
+  const run = await loadApp({
+    pinnedTopics: [{ id: 'a1', name: 'Notes' }],
+    entries: {
+      '2026-10-01': { pinned: { a1: 'see [[2026-10-03]]' }, free: [] }
+    }
+  });
+  run(`globalThis.before = backlinkIndex()`);
+  run(`saveData([])`);
+  assert.strictEqual(run(`backlinkIndex() === before`), true);
+
+  run(`mutate('edit', ['2026-10-02'], () => { getEntry('2026-10-02').pinned.a1 = 'and [[2026-10-03]]'; })`);
+  assert.strictEqual(run(`backlinkIndex().get('2026-10-03').map(s => s.dk).join()`), '2026-10-01,2026-10-02');
+
+  run(`undo()`);
+  assert.strictEqual(run(`backlinkIndex().get('2026-10-03').map(s => s.dk).join()`), '2026-10-01');
+});
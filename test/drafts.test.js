@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('each draft is its own small localStorage value', async () => {
+  const run = await loadApp();
+  run(`writeDraft('2026-10-01', 'a1', 'Sleep', 'one'); writeDraft('2026-10-02', 'f1', 'Gym', 'two')`);
+  const key = run(`draftKey(TAB_ID, '2026-10-01', 'a1')`);
+  assert.strictEqual(JSON.parse(run(`localStorage.getItem(${JSON.stringify(key)})`)).text, 'one');
+  assert.strictEqual(run('loadDrafts().length'), 2);
+  run(`clearDraft('2026-10-01', 'a1', 'other text')`);
+  assert.strictEqual(run('loadDrafts().length'), 2);
+  run(`clearDraft('2026-10-01', 'a1', 'one')`);
+  assert.strictEqual(run('loadDrafts().map(d => d.dk + "/" + d.id).join()'), '2026-10-02/f1');
+});
+
+test('drafts left by a closed tab are offered, newest per cell', async () => {
+  const run = await loadApp({
+    pinnedTopics: [{ id: 'a1', name: 'Sleep' }],
+    entries: { '2026-10-01': { pinned: { a1: 'saved' }, free: [] } }
+  });
+  run(`
+    localStorage.setItem(draftKey('gone1', '2026-10-01', 'a1'), JSON.stringify({ text: 'older', name: 'Sleep', at: 1 }));
+    localStorage.setItem(draftKey('gone2', '2026-10-01', 'a1'), JSON.stringify({ text: 'newer', name: 'Sleep', at: 2 }));
+    localStorage.setItem(draftKey('gone3', '2026-10-01', 'a1'), JSON.stringify({ text: 'saved', name: 'Sleep', at: 3 }));
+    showBanner = banner => { offered = banner; };
+  `);
+  await run('offerDraftRecovery()');
+  assert.match(run('offered.message'), /in 1 cell/);
+  run(`offered.actions[0].onClick()`);
+  assert.strictEqual(run(`data.entries['2026-10-01'].pinned.a1`), 'newer');
+  assert.strictEqual(run('loadDrafts().length'), 0);
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('a drop that moves nothing leaves days without entries alone', async () => {
+  const run = await loadApp({
+    pinnedTopics: [{ id: 'a1', name: 'Notes' }],
+    entries: {}
+  });
+  run(`dragItem = { kind: 'pinned', dk: '2026-10-05', topicId: 'a1' }`);
+  run(`dropOn({ dk: '2026-10-06', targetId: 'f1', after: true }, false)`);
+  assert.strictEqual(run(`Object.keys(data.entries).join()`), '');
+  assert.strictEqual(run(`undoStack.length`), 0);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('merging an import brings in saved searches, recurring cells and trash', async () => {
+  const run = await loadApp({
+    pinnedTopics: [{ id: 'a1', name: 'Mood' }],
+    entries: {},
+    savedViews: [{ id: 'v1', name: 'Bad days', query: '#Mood bad', includeArchived: false }],
+    recurring: []
+  });
+  run(`globalThis.incoming = readExport({
+    pinnedTopics: [],
+    entries: {},
+    savedViews: [
+      { id: 'v1', name: 'Good days', query: '#Mood good', includeArchived: false },
+      { id: 'v2', name: 'bad days', query: 'bad', includeArchived: true }
+    ],
+    recurring: [{ id: 'r1', name: 'Review', kind: 'weekly', weekdays: [0], from: '2026-10-01' }],
+    trash: {
+      columns: [],
+      freeCells: [{ id: 't1', dateKey: '2026-10-02', cell: { id: 'f1', name: 'Note', text: 'x' }, index: 0, deletedAt: Date.now() }]
+    }
+  })`);
+  const plan = run(`JSON.stringify(planMerge(incoming))`);
+  assert.strictEqual(JSON.parse(plan).skipped, 1);
+
+  run(`applyMerge(planMerge(incoming), 'mine')`);
+  const views = JSON.parse(run(`JSON.stringify(data.savedViews)`));
+  assert.deepStrictEqual(views.map(v => v.name), ['Bad days', 'Good days']);
+  assert.notStrictEqual(views[1].id, 'v1');
+  assert.strictEqual(run(`data.recurring.map(r => r.id).join()`), 'r1');
+  assert.strictEqual(run(`data.trash.freeCells.map(t => t.id).join()`), 't1');
+});
@@ -0,0 +1,73 @@
+// Run the tests with `node --test test/` (Node 18+, no dependencies).
+//
+// Loads app.js into a fresh VM context for node:test. The DOM is a stub that
+// accepts any call, and drawing is switched off, so tests exercise the
+// journal logic (mutate, undo, sync, search parsing) without a browser.
+
+const vm = require('vm');
+const fs = require('fs');
+const path = require('path');
+
+const APP = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+
+// An object that has every property and can be called or constructed
+function anything() {
+  const proxy = new Proxy(function () {}, {
+    get(_, key) {
+      if (key === Symbol.iterator) return function* () {};
+      if (key === Symbol.toPrimitive) return () => '';
+      if (key === 'then') return undefined;
+      return proxy;
+    },
+    set: () => true,
+    apply: () => proxy,
+    construct: () => proxy
+  });
+  return proxy;
+}
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: key => { items.delete(key); },
+    key: i => [...items.keys()][i] ?? null,
+    get length() { return items.size; }
+  };
+}
+
+// Resolves to `run(code)`, which evaluates code in the app's global scope,
+// once the app has loaded `journal` (an object, stored under the app's
+// localStorage key)
+async function loadApp(journal) {
+  const localStorage = memoryStorage();
+  if (journal) localStorage.setItem('gridjournal', JSON.stringify(journal));
+  const ctx = {
+    document: anything(),
+    marked: anything(),
+    history: anything(),
+    localStorage,
+    navigator: {},
+    location: { hash: '', href: 'http://localhost/', protocol: 'file:', search: '' },
+    addEventListener: () => {},
+    requestAnimationFrame: () => 0,
+    setTimeout,
+    clearTimeout,
+    setInterval: () => 0,
+    confirm: () => true,
+    URL,
+    URLSearchParams
+  };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  const quiet = ['render', 'refreshRow', 'reapplyQuery', 'renderArchivePanel', 'showToast', 'showBanner',
+    'closeActiveCell', 'scheduleSearchResults', 'applyRoute'];
+  vm.runInContext(`${APP}\n;${quiet.map(name => `${name} = () => {};`).join(' ')}`, ctx, { filename: 'app.js' });
+  const run = code => vm.runInContext(code, ctx);
+  // let init() finish loading
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return run;
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+// parseQuery's result as plain JSON: { cols, filter, error }
+async function parser() {
+  const run = await loadApp();
+  return raw => JSON.parse(run(`(() => {
+    const q = parseQuery(${JSON.stringify(raw)});
+    return JSON.stringify({ cols: q.colTerms, filter: q.filter, error: q.error && q.error.message });
+  })()`));
+}
+
+test('a branch of only column selectors matches every day', async () => {
+  const parse = await parser();
+  for (const raw of ['(#Work) | (#Gym)', 'foo | #Sleep', '() | foo']) {
+    const q = parse(raw);
+    assert.strictEqual(q.error, null, raw);
+    assert.strictEqual(q.filter, null, raw);
+  }
+});
+
+test('(#name with spaces) is one column', async () => {
+  const parse = await parser();
+  assert.deepStrictEqual(parse('(#Morning pages) tired'), {
+    cols: ['morning pages'], filter: { type: 'text', value: 'tired' }, error: null
+  });
+  assert.deepStrictEqual(parse('has:(#Morning pages)').filter, { type: 'has', name: 'morning pages' });
+});
+
+test('a parenthesised group may start with a column', async () => {
+  const parse = await parser();
+  assert.deepStrictEqual(parse('(#Sleep OR #Mood) bad'), {
+    cols: ['sleep', 'mood'], filter: { type: 'text', value: 'bad' }, error: null
+  });
+  assert.deepStrictEqual(parse('(#Sleep | #Mood)').cols, ['sleep', 'mood']);
+  assert.deepStrictEqual(parse('(#Sleep bad | good)'), {
+    cols: ['sleep'],
+    filter: { type: 'or', items: [{ type: 'text', value: 'bad' }, { type: 'text', value: 'good' }] },
+    error: null
+  });
+  assert.deepStrictEqual(parse('(#Sleep -bad)').filter, { type: 'not', item: { type: 'text', value: 'bad' } });
+  assert.deepStrictEqual(parse('(#Orange juice)').cols, ['orange juice']);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../server/sync-server');
+
+// A server on a free port over a fresh store file; `push` POSTs a body
+async function startServer(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gridjournal-sync-'));
+  const file = path.join(dir, 'journal-sync.json');
+  const server = createServer({ file, token: '' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const url = `http://127.0.0.1:${server.address().port}/journal`;
+  const push = async body => {
+    const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+    return { status: res.status, body: await res.json() };
+  };
+  return { file, push };
+}
+
+test('a clean push is stored with new revisions', async t => {
+  const { file, push } = await startServer(t);
+  const res = await push(JSON.stringify({ since: 0, changes: [
+    { key: 'topic/a1', value: { name: 'Mood' } },
+    { key: 'pinned/2026-10-01/a1', value: 'fine' }
+  ] }));
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.rev, 2);
+  assert.deepStrictEqual(res.body.applied, [{ key: 'topic/a1', rev: 1 }, { key: 'pinned/2026-10-01/a1', rev: 2 }]);
+  assert.deepStrictEqual(res.body.conflicts, []);
+  assert.deepStrictEqual(res.body.records, []);
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).records['pinned/2026-10-01/a1'].value, 'fine');
+});
+
+test('a change based on an older revision comes back as a conflict', async t => {
+  const { push } = await startServer(t);
+  await push(JSON.stringify({ changes: [{ key: 'pinned/2026-10-01/a1', value: 'one' }] }));
+  await push(JSON.stringify({ changes: [{ key: 'pinned/2026-10-01/a1', baseRev: 1, value: 'two' }] }));
+  const res = await push(JSON.stringify({ since: 2, changes: [{ key: 'pinned/2026-10-01/a1', baseRev: 1, value: 'three' }] }));
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.rev, 2);
+  assert.deepStrictEqual(res.body.applied, []);
+  assert.deepStrictEqual(res.body.conflicts, [{ key: 'pinned/2026-10-01/a1', rev: 2, value: 'two' }]);
+});
+
+test('a batch with a bad change is refused as a whole', async t => {
+  const { file, push } = await startServer(t);
+  await push(JSON.stringify({ changes: [{ key: 'topic/a1', value: { name: 'Mood' } }] }));
+  const stored = fs.readFileSync(file, 'utf8');
+  const res = await push(JSON.stringify({ changes: [
+    { key: 'topic/b2', value: { name: 'Sleep' } },
+    { value: 'no key' }
+  ] }));
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /change 1 needs a key/);
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), stored);
+  const after = await push(JSON.stringify({ since: 0, changes: [] }));
+  assert.strictEqual(after.body.rev, 1);
+  assert.deepStrictEqual(after.body.records.map(r => r.key), ['topic/a1']);
+});
+
+test('a body over the size limit is refused with 413', async t => {
+  const { file, push } = await startServer(t);
+  const text = 'x'.repeat(21 * 1024 * 1024);
+  const res = await push(JSON.stringify({ changes: [{ key: 'free/2026-10-01/f1', value: { name: 'Big', text } }] }));
+  assert.strictEqual(res.status, 413);
+  assert.strictEqual(fs.existsSync(file), false);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('a text column turned into checkboxes keeps written "no" as free cells', async () => {
+  const run = await loadApp({
+    pinnedTopics: [{ id: 'a1', name: 'Gym' }],
+    entries: {
+      '2026-10-01': { pinned: { a1: 'yes' }, free: [] },
+      '2026-10-02': { pinned: { a1: 'no' }, free: [] },
+      '2026-10-03': { pinned: { a1: '0' }, free: [] }
+    }
+  });
+  const plan = run(`planTypeConversion(data.pinnedTopics[0], { id: 'a1', name: 'Gym', type: 'checkbox' })`);
+  assert.deepStrictEqual(Object.keys(plan.converted), ['2026-10-01']);
+  assert.deepStrictEqual(Object.values(plan.failed).sort(), ['0', 'no']);
+});
+
+test('only empty text parses as an empty value', async () => {
+  const run = await loadApp();
+  assert.strictEqual(run(`parseCellValue({ type: 'checkbox' }, '  ')`), null);
+  assert.strictEqual(run(`parseCellValue({ type: 'checkbox' }, 'no')`), undefined);
+  assert.strictEqual(run(`parseCellValue({ type: 'rating' }, '0')`), undefined);
+  assert.strictEqual(run(`parseCellValue({ type: 'rating', max: 5 }, '★★★☆☆')`), 3);
+});
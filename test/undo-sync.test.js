@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const journal = () => ({
+  pinnedTopics: [{ id: 'a1', name: 'Sleep' }],
+  entries: { '2026-10-01': { pinned: { a1: 'old' }, free: [] } }
+});
+
+const cell = run => run(`data.entries['2026-10-01'].pinned.a1`);
+
+test('undo after another tab saved the same day keeps the other tab\'s text', async () => {
+  const run = await loadApp(journal());
+  run(`mutate('edit', ['2026-10-01'], () => { data.entries['2026-10-01'].pinned.a1 = 'mine'; })`);
+  run(`applyRemoteChanges({ meta: null, puts: [['2026-10-01', { pinned: { a1: 'other tab' }, free: [] }]], deletes: [] })`);
+  run('undo()');
+  assert.strictEqual(cell(run), 'other tab');
+});
+
+test('undo after a sync keeps what the server sent', async () => {
+  const run = await loadApp(journal());
+  run(`mutate('edit', ['2026-10-01'], () => { data.entries['2026-10-01'].pinned.a1 = 'mine'; })`);
+  run(`mutate('rename', [], () => { data.pinnedTopics[0].name = 'Rest'; })`);
+  run(`applyIncoming([
+    { key: 'pinned/2026-10-01/a1', rev: 4, value: 'server' },
+    { key: 'topic/a1', rev: 5, value: { name: 'Nap', index: 0 } }
+  ], new Map(), { base: {} })`);
+  run('undo()');
+  run('undo()');
+  assert.strictEqual(cell(run), 'server');
+  assert.strictEqual(run('data.pinnedTopics[0].name'), 'Nap');
+  assert.strictEqual(run('undoStack.length'), 0);
+});
+
+test('undo of changes elsewhere still works after a sync', async () => {
+  const run = await loadApp(journal());
+  run(`mutate('add', ['2026-10-02'], () => { getEntry('2026-10-02').pinned.a1 = 'new'; })`);
+  run(`applyIncoming([{ key: 'pinned/2026-10-01/a1', rev: 4, value: 'server' }], new Map(), { base: {} })`);
+  run('undo()');
+  assert.strictEqual(run(`data.entries['2026-10-02']`), undefined);
+  assert.strictEqual(cell(run), 'server');
+});